@@ -1 +1 @@
-"use strict";function _defineProperty(t,e,i){return e in t?Object.defineProperty(t,e,{value:i,enumerable:!0,configurable:!0,writable:!0}):t[e]=i,t}function _classCallCheck(t,e){if(!(t instanceof e))throw new TypeError("Cannot call a class as a function")}function mandatory(){var t=arguments.length<=0||void 0===arguments[0]?"":arguments[0];throw new Error("Missing parameter "+t)}function findAllIndices(){for(var t=arguments.length<=0||void 0===arguments[0]?mandatory():arguments[0],e=arguments.length<=1||void 0===arguments[1]?mandatory():arguments[1],i=[],a=0;a<e.length;a++)e.substr(a,t.length)===t&&i.push(a);return i.length?i:-1}var _createClass=function(){function t(t,e){for(var i=0;i<e.length;i++){var a=e[i];a.enumerable=a.enumerable||!1,a.configurable=!0,"value"in a&&(a.writable=!0),Object.defineProperty(t,a.key,a)}}return function(e,i,a){return i&&t(e.prototype,i),a&&t(e,a),e}}(),scripts=document.getElementsByTagName("script"),calibratorFullpath=scripts[scripts.length-1].src,delimiterIndices=findAllIndices("/",calibratorFullpath);calibratorFullpath=calibratorFullpath.substr(0,delimiterIndices[delimiterIndices.length-2]),document.addEventListener("DOMContentLoaded",function(t){var e=document.getElementsByTagName("head")[0],i=document.createElement("link");i.rel="stylesheet",i.type="text/css",i.href=calibratorFullpath+"/css/calibrator.css",e.appendChild(i)});var Calibrator=function(){function t(){var e,i=arguments.length<=0||void 0===arguments[0]?null:arguments[0],a=arguments.length<=1||void 0===arguments[1]||arguments[1];if(_classCallCheck(this,t),"undefined"==typeof calibratorFullpath)throw new Error("Calibrator.js: library path is unknown.");if(this.calibratorFullpath=calibratorFullpath,"function"!=typeof _)throw new Error("Calibrator.js: Underscore.js is needed for templating.");this.VIEWS_PATHS={container:this.calibratorFullpath+"/views/calibrator-container.template",knownsize:this.calibratorFullpath+"/views/calibrator-s1-knownsize.template",enterknownsize:this.calibratorFullpath+"/views/calibrator-s1-enterknownsize.template",chooseobject:this.calibratorFullpath+"/views/calibrator-s1-chooseobject.template",specifystandardsize:this.calibratorFullpath+"/views/calibrator-s1-specifystandardsize.template",setbrightness:this.calibratorFullpath+"/views/calibrator-s2-content.template",summary:this.calibratorFullpath+"/views/calibrator-s3-content.template"};var n=this;this.templateManager=new TemplateManager(this.VIEWS_PATHS,function(){n.templatesAreLoaded()}),this.IMAGE_KEY_CREDITCARD="creditCard",this.IMAGE_KEY_CD="cd",this.IMAGES=(e={},_defineProperty(e,this.IMAGE_KEY_CREDITCARD,[this.calibratorFullpath+"/img/card.png",[384,242],8.6,1.2]),_defineProperty(e,this.IMAGE_KEY_CD,[this.calibratorFullpath+"/img/cd.png",[596,596],12,1.2]),e),this.distanceFromScreen=50,this.canvasHeight=400,this.BRIGHTNESS_NUMBER_OF_CONTRASTS=12,this.cachedImages={},this.preloadImages(),this.STEP_TITLES=["Step 1: Screen size calibration","Step 2: Contrast and brightness","Step 3: Summary"],this.STEP_SCREENSIZE_ASK_IFKNOWS=0,this.STEP_SCREENSIZE_ENTER_KNOWNSIZE=1,this.STEP_SCREENSIZE_CHOOSE_OBJECT=2,this.STEP_SCREENSIZE_ENTER_OBJECTSIZE=3,this.STEP_BRIGHTNESS=4,this.STEP_SUMMARY=5,this.BUTTON_SIZEKNOWN="s1:sizeKnown",this.BUTTON_SIZEUNKNOWN="s1:sizeUnknown",this.BUTTON_CONFIRM_MANUALSIZE="s1:confirmManualSize",this.BUTTON_CHOOSE_CREDITCARD="s1:chooseCreditCard",this.BUTTON_CHOOSE_COMPACTDISK="s1:chooseCompactDisk",this.BUTTON_CONFIRM_OBJECTSIZE="s1:confirmObjectSize",this.BUTTON_CONFIRM_BRIGHTNESS="s2:confirmBrightness",this.BUTTON_FINAL_CONFIRM="s3:finalConfirm",this.BUTTON_BACK="back",this.currentStep=this.STEP_SCREENSIZE_ASK_IFKNOWS,this.FLOAT_PRECISION=2,this._diagonalSize=null,this._currentImage=null,this._imageRatio=.5,this._showWhenReady=a===!0,this.callbackWhenClosed=null,i?this.callbackWhenClosed=i:console.log("Calibrator.js: no callback is set-up for the calibrator to call when finished!"),$(window).resize(function(){n.canvasResized()})}return _createClass(t,[{key:"preloadImages",value:function(){for(var t in this.IMAGES)this.cachedImages[t]=new Image,this.cachedImages[t].src=this.IMAGES[t][0]}},{key:"templatesAreLoaded",value:function(){console.log("Calibrator.js : All templates are loaded"),this.addToDom(),this.container=$(".calibrator-container"),$(this.container).toggle(this._showWhenReady),this.resetEvents()}},{key:"addToDom",value:function(){this.templateManager.renderInTarget("container",{title:this.currentTitle,content:this.currentContent},"body")}},{key:"show",value:function(){$(this.container).fadeIn(200)}},{key:"hide",value:function(){$(this.container).fadeOut(200)}},{key:"toggle",value:function(){$(this.container).toggle(200)}},{key:"toggleInfo",value:function(){$(".calibrator-info-content").toggle(200)}},{key:"updateView",value:function(){var t=this;this.updateGuide(),$(".calibrator-title").animate({opacity:0},300,function(){$(".calibrator-title").html("<h3>"+t.currentTitle+"</h3>"),$(".calibrator-title").animate({opacity:300},100)}),$(".calibrator-content").animate({opacity:0},300,function(){$(".calibrator-content").html(t.currentContent),t.setStepLogic(),t.currentStep!=t.STEP_SCREENSIZE_ASK_IFKNOWS&&t.addBackButton(),$(".calibrator-content").animate({opacity:300},100,function(){t.resetEvents()})})}},{key:"updateGuide",value:function(){if($(".calibrator-guide").length)switch(_.each($(".calibrator-guide div"),function(t){$(t).removeClass("calibrator-guide-active")}),this.currentStep){case this.STEP_SCREENSIZE_ASK_IFKNOWS:case this.STEP_SCREENSIZE_ENTER_KNOWNSIZE:case this.STEP_SCREENSIZE_CHOOSE_OBJECT:case this.STEP_SCREENSIZE_ENTER_OBJECTSIZE:$("#calibrator-guide-step1").addClass("calibrator-guide-active");break;case this.STEP_BRIGHTNESS:$("#calibrator-guide-step2").addClass("calibrator-guide-active");break;case this.STEP_SUMMARY:$("#calibrator-guide-step3").addClass("calibrator-guide-active")}else console.log("Calibrator.js: calibrator-guide div not in the dom.")}},{key:"resetEvents",value:function(){$(".calibrator-info-icon").off(),$(".calibrator-dismiss-icon").off(),$(".calibrator-button").off(),$(".calibrator-size-range").off();var t=this;$(".calibrator-info-icon").on("click",function(e){t.toggleInfo()}),$(".calibrator-dismiss-icon").on("click",function(e){t.callbackNow(0),t.hide()}),$(".calibrator-button").on("click",function(e){t.buttonClicked(e)}),$(".calibrator-size-range").on("change",function(e){t.setRatioFromRange($(e.target)),t.drawImage(),t.updateSummaryInformation()})}},{key:"goToStep",value:function(t){this.currentStep=t,this.updateView()}},{key:"setStepLogic",value:function(){switch(this.currentStep){case this.STEP_SCREENSIZE_ENTER_KNOWNSIZE:$.isNumeric(this.diagonalSize)?$("#calibrator-monitor-size")[0].value=this.diagonalSize.toFixed(this.FLOAT_PRECISION):this.diagonalSize=null;break;case this.STEP_SCREENSIZE_CHOOSE_OBJECT:break;case this.STEP_SCREENSIZE_ENTER_OBJECTSIZE:this.setRangeFromRatio(),this.setDiagonalSizeFromRatio(),this.drawImage(),this.updateSummaryInformation();break;case this.STEP_BRIGHTNESS:this.drawGrayScale(),console.log(this.pixelsPerDegree);break;case this.STEP_SUMMARY:}}},{key:"goToPreviousStep",value:function(){switch(this.currentStep){case this.STEP_SCREENSIZE_ENTER_KNOWNSIZE:this.goToStep(this.STEP_SCREENSIZE_ASK_IFKNOWS);break;case this.STEP_SCREENSIZE_CHOOSE_OBJECT:this.goToStep(this.STEP_SCREENSIZE_ASK_IFKNOWS);break;case this.STEP_SCREENSIZE_ENTER_OBJECTSIZE:this.goToStep(this.STEP_SCREENSIZE_CHOOSE_OBJECT);break;case this.STEP_BRIGHTNESS:this.goToStep(this.STEP_SCREENSIZE_ASK_IFKNOWS);break;case this.STEP_SUMMARY:this.goToStep(this.STEP_BRIGHTNESS)}}},{key:"addBackButton",value:function(){if($(".calibrator-backdiv").length){var t='<button class="btn calibrator-button calibrator-button-back" value="back">Back</button>';$(".calibrator-backdiv").append(t)}else{var t='<div class="col-xs-12 calibrator-spacing"></div><div class="col-xs-12 "><button class="btn calibrator-button calibrator-button-back" value="back">Back</button></div>';$(".calibrator-content").append(t)}}},{key:"buttonClicked",value:function(t){var e=t.target.value;switch(e){case this.BUTTON_SIZEKNOWN:this.goToStep(this.STEP_SCREENSIZE_ENTER_KNOWNSIZE);break;case this.BUTTON_SIZEUNKNOWN:this.goToStep(this.STEP_SCREENSIZE_CHOOSE_OBJECT);break;case this.BUTTON_CONFIRM_MANUALSIZE:$.isNumeric($("#calibrator-monitor-size")[0].value)?(this.diagonalSize=Number($("#calibrator-monitor-size")[0].value),this.goToStep(this.STEP_BRIGHTNESS)):console.log("Calibrator.js: monitor size is invalid");break;case this.BUTTON_CHOOSE_CREDITCARD:this._currentImage=this.IMAGE_KEY_CREDITCARD,this.updateCanvasHeight(),this.goToStep(this.STEP_SCREENSIZE_ENTER_OBJECTSIZE);break;case this.BUTTON_CHOOSE_COMPACTDISK:this._currentImage=this.IMAGE_KEY_CD,this.updateCanvasHeight(),this.goToStep(this.STEP_SCREENSIZE_ENTER_OBJECTSIZE);break;case this.BUTTON_CONFIRM_OBJECTSIZE:this.goToStep(this.STEP_BRIGHTNESS);break;case this.BUTTON_CONFIRM_BRIGHTNESS:this.goToStep(this.STEP_SUMMARY);break;case this.BUTTON_FINAL_CONFIRM:this.callbackNow(1),this.hide();break;case this.BUTTON_BACK:this.goToPreviousStep()}}},{key:"updateSummaryInformation",value:function(){var t=this;$(".calibrator-diagonal-size-inches").length&&_.each($(".calibrator-diagonal-size-inches"),function(e){$(e).html(t.diagonalSize.toFixed(t.FLOAT_PRECISION)+" inches")})}},{key:"callbackNow",value:function(t){var e={status:0,diagonalSize:null,diagonalSizeInPx:this.diagonalSizeInPx,distanceFromScreenInCm:null,pixelsPerInch:null,pixelsPerDegree:null};this.diagonalSize&&(e.status=t,e.diagonalSize=this.diagonalSize,e.distanceFromScreenInCm=this.distanceFromScreen,e.pixelsPerInch=this.pixelsPerInch,e.pixelsPerDegree=this.pixelsPerDegree),this.callbackWhenClosed?this.callbackWhenClosed(e):(console.log("Calibrator.js: Has been dismissed"),console.log(e))}},{key:"updateCanvasHeight",value:function(){if(this.currentImage){var t=this.IMAGES[this.currentImage][1][1]*this.IMAGES[this.currentImage][3];this.canvasHeight=t+50}}},{key:"fitCanvasToContainer",value:function(){if($(".calibrator-canvas").length){var t=$(".calibrator-canvas")[0];t.style.width="100%",t.style.height=this.canvasHeight+"px",t.width=t.offsetWidth,t.height=t.offsetHeight}}},{key:"canvasResized",value:function(){switch(this.fitCanvasToContainer(),this.currentStep){case this.STEP_SCREENSIZE_ENTER_OBJECTSIZE:this.setDiagonalSizeFromRatio(),this.drawImage();break;case this.STEP_BRIGHTNESS:this.drawGrayScale()}}},{key:"drawImage",value:function(){if($(".calibrator-canvas").length&&this.currentStep==this.STEP_SCREENSIZE_ENTER_OBJECTSIZE){this.fitCanvasToContainer();var t=$(".calibrator-canvas")[0],e=t.getContext("2d");e.clearRect(0,0,t.width,t.height);var i=(t.width-this.currentImageScaledWidthInPx)/2,a=(t.height-this.currentImageScaledHeightInPx)/2;e.drawImage(this.cachedImages[this._currentImage],i,a,this.currentImageScaledWidthInPx,this.currentImageScaledHeightInPx)}}},{key:"setRatioFromRange",value:function(){var t=arguments.length<=0||void 0===arguments[0]?null:arguments[0];if(null===t&&(t=$(".calibrator-size-range")),$(t).length){var e=Number($(t).attr("max"))-Number($(t).attr("min")),i=Number($(t).val());this.imageRatio=i/e}}},{key:"setRangeFromRatio",value:function(){var t=arguments.length<=0||void 0===arguments[0]?null:arguments[0];if(null===t&&(t=$(".calibrator-size-range")),$(t).length){var e=Number($(t).attr("max"))-Number($(t).attr("min"));$(t).val(this.imageRatio*e+Number($(t).attr("min")))}}},{key:"setDiagonalSizeFromRatio",value:function(){this.currentImage&&(this.diagonalSize=this.diagonalSizeInPx/(this.currentImageScaledWidthInPx/this.currentImagePhysicalWidthInInches))}},{key:"drawGrayScale",value:function(){if(!$(".calibrator-canvas").length||this.currentStep!=this.STEP_BRIGHTNESS)throw new Error("Calibrator.js: the canvas element is not present, cannot drawImage().");this.fitCanvasToContainer();var t=$(".calibrator-canvas")[0],e=t.getContext("2d");e.clearRect(0,0,t.width,t.height);for(var i=30,a=150,n=Math.round(t.width/2),r=Math.round(t.height/2),s=n-i*this.BRIGHTNESS_NUMBER_OF_CONTRASTS/2,o=r-a/2,c=0;c<this.BRIGHTNESS_NUMBER_OF_CONTRASTS;c++){var l=Math.round(c*(255/(this.BRIGHTNESS_NUMBER_OF_CONTRASTS-1)));e.fillStyle="rgb("+l+","+l+","+l+")",e.fillRect(s+c*i,o,i,a)}}},{key:"currentTitle",get:function(){switch(this.currentStep){case this.STEP_SCREENSIZE_ASK_IFKNOWS:return this.STEP_TITLES[0];case this.STEP_SCREENSIZE_ENTER_KNOWNSIZE:return this.STEP_TITLES[0];case this.STEP_SCREENSIZE_CHOOSE_OBJECT:return this.STEP_TITLES[0];case this.STEP_SCREENSIZE_ENTER_OBJECTSIZE:return this.STEP_TITLES[0];case this.STEP_BRIGHTNESS:return this.STEP_TITLES[1];case this.STEP_SUMMARY:return this.STEP_TITLES[2]}}},{key:"currentContent",get:function(){switch(this.currentStep){case this.STEP_SCREENSIZE_ASK_IFKNOWS:return this.templateManager.render("knownsize");case this.STEP_SCREENSIZE_ENTER_KNOWNSIZE:return this.templateManager.render("enterknownsize");case this.STEP_SCREENSIZE_CHOOSE_OBJECT:return this.templateManager.render("chooseobject");case this.STEP_SCREENSIZE_ENTER_OBJECTSIZE:return this.templateManager.render("specifystandardsize");case this.STEP_BRIGHTNESS:return this.templateManager.render("setbrightness");case this.STEP_SUMMARY:return this.templateManager.render("summary",{diagonalSize:this.diagonalSize.toFixed(this.FLOAT_PRECISION),diagonalSizeInPx:Math.ceil(this.diagonalSizeInPx),pixelsPerDegree:this.pixelsPerDegree.toFixed(this.FLOAT_PRECISION),pixelsPerInch:this.pixelsPerInch.toFixed(this.FLOAT_PRECISION)})}}},{key:"diagonalSize",set:function(t){return null===t?void(this._diagonalSize=null):(t=Number(t),void(t>0&&t<60?this._diagonalSize=t:console.log("Calibrator.js: Invalid diagonal size")))},get:function(){return this._diagonalSize?this._diagonalSize:null}},{key:"diagonalSizeInCm",get:function(){return this.diagonalSize?2.54*this.diagonalSize:null}},{key:"diagonalSizeInPx",get:function(){return Math.sqrt(Math.pow(screen.availWidth,2)+Math.pow(screen.availHeight,2))}},{key:"pixelsPerInch",get:function(){return this.diagonalSize?this.diagonalSizeInPx/this.diagonalSize:null}},{key:"pixelsPerCm",get:function(){return this.diagonalSize?this.pixelsPerInch/2.54:null}},{key:"pixelsPerDegree",get:function(){if(this.diagonalSize){var t=2*Math.atan(screen.availWidth/this.pixelsPerCm/(2*this.distanceFromScreen)),e=180/Math.PI;return screen.availWidth/(e*t)}return null}},{key:"imageRatio",set:function(t){t>=0&&t<=1&&(this._imageRatio=t,this.setDiagonalSizeFromRatio(),this.drawImage())},get:function(){return this._imageRatio}},{key:"currentImage",set:function(t){this.IMAGES.indexOf(t)!==-1&&(this._currentImage=t,this.updateCanvasHeight(),this.drawImage())},get:function(){return this._currentImage?this._currentImage:(console.log("Calibrator.js: currentImage is not set."),null)}},{key:"currentImagePhysicalWidthInCm",get:function(){return this.currentImage?this.IMAGES[this.currentImage][2]:null}},{key:"currentImagePhysicalWidthInInches",get:function(){return this.currentImage?this.IMAGES[this.currentImage][2]/2.54:null}},{key:"currentImageScaledHeightInPx",get:function(){return this.currentImage?this.IMAGES[this.currentImage][1][1]*this.IMAGES[this.currentImage][3]*this.imageRatio:null}},{key:"currentImageScaledWidthInPx",get:function(){return this.currentImage?this.IMAGES[this.currentImage][1][0]*this.IMAGES[this.currentImage][3]*this.imageRatio:null}}]),t}(),TemplateManager=function(){function t(){var e=arguments.length<=0||void 0===arguments[0]?mandatory():arguments[0],i=arguments.length<=1||void 0===arguments[1]?null:arguments[1];_classCallCheck(this,t),_.templateSettings.interpolate=/\{\{(.+?)\}\}/g,this.viewPaths=e,this.cached={},i?this.callbackWhenLoaded=i:this.callbackWhenLoaded=function(){console.log("TemplateManager.js: all templates loaded.")};var a=this;_.each(this.viewPaths,function(t,e,i){$.get(a.viewPaths[e],function(t){a.store(e,t),_.every(_.keys(a.viewPaths),function(t){return _.has(a.cached,t)})&&a.callbackWhenLoaded()})})}return _createClass(t,[{key:"render",value:function(t){var e=arguments.length<=1||void 0===arguments[1]?{}:arguments[1],i=this;return this.isCached(t)?this.cached[t](e):void $.get(this.urlFor(t),function(a){i.store(t,a),i.render(t,e)})}},{key:"renderInTarget",value:function(t,e,i){var a=this;this.isCached(t)?$(i).append(this.cached[t](e)):$.get(this.urlFor(t),function(n){a.store(t,n),a.renderInTarget(t,e,i)})}},{key:"renderSync",value:function(t){this.isCached(t)||this.fetch(t),this.render(t)}},{key:"prefetch",value:function(t){var e=this;$.get(this.urlFor(t),function(i){e.store(t,i)})}},{key:"fetch",value:function(t){if(!this.isCached(t)){var e=$.ajax({url:this.urlFor(t),async:!1}).responseText;this.store(t,e)}}},{key:"isCached",value:function(t){return!!this.cached[t]}},{key:"store",value:function(t,e){this.cached[t]=_.template(e)}},{key:"urlFor",value:function(t){return this.viewPaths[t]}}]),t}();
\ No newline at end of file
+var _createClass=(()=>{function n(e,t){for(var i=0;i<t.length;i++){var n=t[i];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,n.key,n)}}return function(e,t,i){return t&&n(e.prototype,t),i&&n(e,i),e}})();function _classCallCheck(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}var scripts=document.getElementsByTagName("script"),delimiterIndices=findAllIndices("/",calibratorFullpath=scripts[scripts.length-1].src),calibratorFullpath=calibratorFullpath.substr(0,delimiterIndices[delimiterIndices.length-2]),Calibrator=(document.addEventListener("DOMContentLoaded",function(e){var t=document.getElementsByTagName("head")[0],i=document.createElement("link");i.rel="stylesheet",i.type="text/css",i.href=calibratorFullpath+"/css/calibrator.css",t.appendChild(i)}),(()=>{function s(){var e=0<arguments.length&&void 0!==arguments[0]?arguments[0]:null,t=!(1<arguments.length&&void 0!==arguments[1])||arguments[1],i=2<arguments.length&&void 0!==arguments[2]?arguments[2]:{};if(_classCallCheck(this,s),void 0===calibratorFullpath)throw new Error("Calibrator.js: library path is unknown.");if(this.calibratorFullpath=calibratorFullpath,"function"!=typeof _)throw new Error("Calibrator.js: Underscore.js is needed for templating.");this.options=_.defaults({},i,{persistCalibration:!1,persistenceExpiryInDays:30,monitorAfterCalibration:!0,reopenWhenInvalidated:!1,anisotropyThreshold:.03,objectSizeTrials:1,objectSizeTolerance:.05,objectSizeMaxTrials:5,numberOfContrasts:12,showRefreshRate:!0,requireFullscreen:!1,keepScreenAwake:!1,publishCssProperties:!0,container:null}),(!Number.isInteger(this.options.numberOfContrasts)||this.options.numberOfContrasts<2)&&(console.log("Calibrator.js: numberOfContrasts must be an integer of at least 2, got "+this.options.numberOfContrasts+". 12 shades are used."),this.options.numberOfContrasts=12),s.instanceCount=(s.instanceCount||0)+1,this.eventNamespace=".calibrator"+s.instanceCount,this.root=null,this.VIEWS_PATHS={container:this.calibratorFullpath+"/views/calibrator-container.template",knownsize:this.calibratorFullpath+"/views/calibrator-s1-knownsize.template",enterknownsize:this.calibratorFullpath+"/views/calibrator-s1-enterknownsize.template",chooseobject:this.calibratorFullpath+"/views/calibrator-s1-chooseobject.template",specifystandardsize:this.calibratorFullpath+"/views/calibrator-s1-specifystandardsize.template",ruler:this.calibratorFullpath+"/views/calibrator-s1-ruler.template",choosedistance:this.calibratorFullpath+"/views/calibrator-distance-choosemethod.template",enterdistance:this.calibratorFullpath+"/views/calibrator-distance-enterdistance.template",blindspot:this.calibratorFullpath+"/views/calibrator-distance-blindspot.template",gamma:this.calibratorFullpath+"/views/calibrator-brightness-gamma.template",refreshrate:this.calibratorFullpath+"/views/calibrator-display-refreshrate.template",setbrightness:this.calibratorFullpath+"/views/calibrator-s2-content.template",summary:this.calibratorFullpath+"/views/calibrator-s3-content.template"};var n=this;this.templateManager=new TemplateManager(this.VIEWS_PATHS,function(){n.templatesAreLoaded()},function(e,t){e=new Error("Calibrator.js: could not load the "+e+" template from "+t);n._templateError=e,n.emit("error",e),n._pendingRun&&(t=n._pendingRun,n._pendingRun=null,t.reject(e))}),this.IMAGE_KEY_CREDITCARD="creditCard",this.IMAGE_KEY_CD="cd",this.IMAGE_KEY_RULER="ruler",this.REFERENCE_MAX_PIXELS_PER_CM=60,this.REFERENCE_BAR_HEIGHT_IN_PX=40,this.RULER_MARGIN_IN_PX=20,this.REFERENCE_MAX_VIEWPORT_HEIGHT_FRACTION=.8,this.REFERENCE_CANVAS_MARGIN_IN_PX=50,this.OBJECT_SIZE_START_RATIO_RANGE=[.2,.9],this.HANDLE_SIZE_IN_PX=12,this.ADJUSTMENT_STEPS_IN_PX=[.5,10],this.referenceObjects={},this.DEFAULT_DISTANCE_FROM_SCREEN_IN_CM=50,this._distanceFromScreen=this.DEFAULT_DISTANCE_FROM_SCREEN_IN_CM,this.DISTANCE_SOURCE_DEFAULT="default",this.DISTANCE_SOURCE_MEASURED="measured",this.DISTANCE_SOURCE_ENTERED="entered",this.DISTANCE_VALID_RANGE_IN_CM=[10,300],this.DIAGONAL_VALID_RANGE_IN_INCHES=[0,60],this.BLINDSPOT_ANGLE_IN_DEGREES=13.5,this.BLINDSPOT_NUMBER_OF_TRIALS=5,this.BLINDSPOT_DOT_SPEED_IN_CM_PER_SECOND=3,this.canvasHeight=400,this.BRIGHTNESS_NEAR_BLACK_PERCENTS=[1,2,3,4,5],this.BRIGHTNESS_NEAR_WHITE_PERCENTS=[95,96,97,98,99],this.BRIGHTNESS_BOX_SIZE_IN_PX=[40,150],this.GAMMA_LUMINANCE_LEVELS=[.25,.5,.75],this.DEFAULT_GAMMA=2.2,this.REFRESH_RATE_SAMPLING_DURATION_IN_MS=3e3,this.REFRESH_RATE_WARMUP_FRAMES=10,this.cachedImages={},this.registerDefaultReferenceObjects(),this.STEP_TITLES=["Screen size calibration","Viewing distance","Contrast and brightness","Display refresh rate","Summary"],this.STEP_GUIDES=["Resolution","Distance","Brightness","Refresh rate","Summary"],this.STEP_SCREENSIZE_ASK_IFKNOWS="screensize:askIfKnows",this.STEP_SCREENSIZE_ENTER_KNOWNSIZE="screensize:enterKnownSize",this.STEP_SCREENSIZE_CHOOSE_OBJECT="screensize:chooseObject",this.STEP_SCREENSIZE_ENTER_OBJECTSIZE="screensize:enterObjectSize",this.STEP_SCREENSIZE_RULER="screensize:ruler",this.STEP_DISTANCE_CHOOSE_METHOD="distance:chooseMethod",this.STEP_DISTANCE_ENTER_DISTANCE="distance:enterDistance",this.STEP_DISTANCE_BLINDSPOT="distance:blindSpot",this.STEP_BRIGHTNESS="brightness",this.STEP_GAMMA="brightness:gamma",this.STEP_REFRESH_RATE="refreshRate",this.STEP_SUMMARY="summary",this.BUTTON_USE_PREVIOUS="s1:usePrevious",this.BUTTON_RECALIBRATE="s1:recalibrate",this.BUTTON_SIZEKNOWN="s1:sizeKnown",this.BUTTON_SIZEUNKNOWN="s1:sizeUnknown",this.BUTTON_USE_RULER="s1:useRuler",this.BUTTON_CONFIRM_MANUALSIZE="s1:confirmManualSize",this.BUTTON_CHOOSE_OBJECT_PREFIX="s1:chooseObject:",this.BUTTON_CONFIRM_OBJECTSIZE="s1:confirmObjectSize",this.BUTTON_CONFIRM_RULER="s1:confirmRuler",this.BUTTON_GROW_WIDTH="s1:growWidth",this.BUTTON_SHRINK_WIDTH="s1:shrinkWidth",this.BUTTON_GROW_HEIGHT="s1:growHeight",this.BUTTON_SHRINK_HEIGHT="s1:shrinkHeight",this.BUTTON_CHOOSE_BLINDSPOT="distance:chooseBlindSpot",this.BUTTON_CHOOSE_MANUALDISTANCE="distance:chooseManualDistance",this.BUTTON_KEEP_DISTANCE="distance:keepDistance",this.BUTTON_CONFIRM_MANUALDISTANCE="distance:confirmManualDistance",this.BUTTON_START_BLINDSPOT="distance:startBlindSpot",this.BUTTON_CONFIRM_DISTANCE="distance:confirmDistance",this.BUTTON_CONFIRM_BRIGHTNESS="s2:confirmBrightness",this.BUTTON_CONFIRM_GAMMA_MATCH="s2:confirmGammaMatch",this.BUTTON_MEASURE_REFRESH_RATE="refreshRate:measure",this.BUTTON_CONFIRM_REFRESH_RATE="refreshRate:confirm",this.BUTTON_FINAL_CONFIRM="s3:finalConfirm",this.BUTTON_RESUME="session:resume",this.BUTTON_NEXT="next",this.BUTTON_BACK="back",this.steps={},this.stepOrder=[],this.registerDefaultSteps(),this.currentStep=this.STEP_SCREENSIZE_ASK_IFKNOWS,this.FLOAT_PRECISION=2,this.CSS_PROPERTIES={pixelsPerDegree:"--calibrator-px-per-deg",pixelsPerCm:"--calibrator-px-per-cm",pixelsPerInch:"--calibrator-px-per-inch"},this.SIZE_IN_DEGREES_ATTRIBUTE="data-size-deg",this.SIZED_IN_DEGREES_CLASS="calibrator-sized-in-deg",this.OUTPUT_UNITS={diagonalSize:"inch",diagonalSizeInPx:"px",diagonalSizeInDevicePx:"device px",devicePixelRatio:"device px / px",screenWidthPx:"px",screenHeightPx:"px",availWidthPx:"px",availHeightPx:"px",viewportWidthPx:"px",viewportHeightPx:"px",distanceFromScreenInCm:"cm",pixelsPerInch:"px / inch",devicePixelsPerInch:"device px / inch",pixelsPerCm:"px / cm",devicePixelsPerCm:"device px / cm",horizontalPixelsPerCm:"px / cm",verticalPixelsPerCm:"px / cm",pixelAspectRatio:"ratio",mmPerPixel:"mm / px",arcminPerPixel:"arcmin / px",screenWidthCm:"cm",screenHeightCm:"cm",aspectRatio:"ratio",screenWidthDeg:"deg",screenHeightDeg:"deg",viewportWidthDeg:"deg",viewportHeightDeg:"deg",objectSizeMean:"inch",objectSizeSD:"inch",objectSizeRelativeSD:"ratio",pixelsPerDegree:"px / deg",devicePixelsPerDegree:"device px / deg",centralPixelsPerDegree:"px / deg",centralDevicePixelsPerDegree:"device px / deg",blackCrushLevel:"gray level (0-255)",whiteClipLevel:"gray level (0-255)",gamma:"exponent",refreshRate:"Hz",frameIntervalMeanInMs:"ms",frameIntervalSDInMs:"ms"},this._diagonalSize=null,this._currentImage=null,this._imageRatio=.5,this._imageHeightRatio=.5,this._pixelAspectRatio=1,this._objectSizeTrials=[],this._objectSizeStartRatio=null,this._gammaMatches=[],this._gammaGrayLevel=128,this._gammaSquare=null,this._gamma=null,this._brightnessSelection={black:null,white:null},this._frameTimestamps=[],this._refreshRateAnimation=null,this._refreshRate=null,this.PAUSE_MESSAGES={start:"The calibration runs in fullscreen, so that it matches the experiment. Click continue to switch to fullscreen.",fullscreen:"You left fullscreen. Click continue to go back to fullscreen and resume the calibration.",hidden:"The calibration was paused while the page was hidden. Click continue to resume it."},this._pauseReason=null,this._stepEntered=!1,this._fullscreenExits=0,this._wakeLock=null,this._draggedHandle=null,this._pinch=null,this._maxPixelsPerCm=null,this._blindSpotTrials=[],this._blindSpotDotX=null,this._blindSpotAnimation=null,this._distanceFromScreenSource=this.DISTANCE_SOURCE_DEFAULT,this._enteredDistanceInCm=null,this.STORAGE_KEY_PREFIX="calibrator-js:",this.previousCalibration=this.options.persistCalibration?this.loadCalibration():null,this._usedPreviousCalibration=!1,this._calibrationSnapshot=null,this._resolutionMediaQuery=null,this._checkCalibrationValidity=function(){n.checkCalibrationValidity()},this._pendingRun=null,this._templateError=null,this._cssPropertiesPublished=!1,this._destroyed=!1,this._showWhenReady=!0===t,this.callbackWhenClosed=null,e?this.callbackWhenClosed=e:console.log("Calibrator.js: no callback is set-up for the calibrator to call when finished!"),$(window).on(this.namespaced("resize"),function(){n.canvasResized(),n._cssPropertiesPublished&&n.publishCssProperties()}),$(document).on(this.namespaced("fullscreenchange webkitfullscreenchange"),function(){n.fullscreenChanged()}),$(document).on(this.namespaced("visibilitychange"),function(){n.visibilityChanged()})}return _createClass(s,[{key:"preloadImages",value:function(){for(var e in this.referenceObjects)this.referenceObjects[e].image&&!_.has(this.cachedImages,e)&&(this.cachedImages[e]=new Image,this.cachedImages[e].src=this.referenceObjects[e].image)}},{key:"templatesAreLoaded",value:function(){console.log("Calibrator.js : All templates are loaded"),this.addToDom(),this.container=this.find(".calibrator-container"),this.updateGuide(),$(this.container).toggle(this._showWhenReady),this.resetEvents(),this.currentStepObject.back&&this.addBackButton(),this._showWhenReady&&(this.startSessionGuard(),this.setStepLogic()),this.emit("ready")}},{key:"addToDom",value:function(){var e=$(this.options.container||"body").first();e.length||(console.log("Calibrator.js: the container "+this.options.container+" is not in the page, the calibrator is added to the body."),e=$("body")),this.root=$($.trim(this.templateManager.render("container",{guide:this.guideHtml,title:_.escape(this.currentTitle),content:this.currentContent}))),this.root.toggleClass("calibrator-embedded",Boolean(this.options.container)),e.append(this.root)}},{key:"find",value:function(e){return this.root?this.root.find(e):$()}},{key:"namespaced",value:function(e){var t=this;return _.map(e.split(" "),function(e){return e+t.eventNamespace}).join(" ")}},{key:"addReferenceObject",value:function(e){return e&&e.key&&e.label||this.raiseError("a reference object needs a key and a label."),0<Number(e.widthCm)||this.raiseError("the width of the reference object "+e.key+" is invalid."),this.referenceObjects[e.key]=_.defaults({},e,{image:null,heightCm:null,shape:e.heightCm?"rectangle":"edge",maxPixelsPerCm:null}),delete this.cachedImages[e.key],this.preloadImages(),this}},{key:"registerDefaultReferenceObjects",value:function(){var t=this;_.each([{key:this.IMAGE_KEY_CREDITCARD,label:"Credit Card",image:this.calibratorFullpath+"/img/card.png",widthCm:8.56,heightCm:5.398},{key:"idCard",label:"ID card or driving licence",widthCm:8.56,heightCm:5.398},{key:this.IMAGE_KEY_CD,label:"Compact Disk",image:this.calibratorFullpath+"/img/cd.png",widthCm:12,heightCm:12},{key:"a4Paper",label:"A4 paper (short edge)",widthCm:21},{key:"letterPaper",label:"Letter paper (short edge)",widthCm:21.59},{key:this.IMAGE_KEY_RULER,label:"Ruler (10 cm)",widthCm:10,shape:"ruler"},{key:"euro1",label:"1 euro coin",widthCm:2.325,heightCm:2.325,shape:"circle"},{key:"euro2",label:"2 euro coin",widthCm:2.575,heightCm:2.575,shape:"circle"},{key:"usQuarter",label:"US quarter",widthCm:2.426,heightCm:2.426,shape:"circle"},{key:"pound1",label:"1 pound coin",widthCm:2.343,heightCm:2.343,shape:"circle"},{key:"franc5",label:"5 Swiss franc coin",widthCm:3.145,heightCm:3.145,shape:"circle"}],function(e){t.addReferenceObject(e)})}},{key:"chooseReferenceObject",value:function(e){_.has(this.referenceObjects,e)||this.raiseError("unknown reference object "+e+"."),this._currentImage=e,this._maxPixelsPerCm=null,this.updateCanvasHeight()}},{key:"start",value:function(){var i,e=0<arguments.length&&void 0!==arguments[0]?arguments[0]:this.STEP_SCREENSIZE_ASK_IFKNOWS;return this._templateError?Promise.reject(this._templateError):(this._pendingRun||((i={}).promise=new Promise(function(e,t){i.resolve=e,i.reject=t}),this._pendingRun=i),this.container?(this.goToStep(e),this.show()):(this.getStep(e),this.currentStep=e,this._showWhenReady=!0),this._pendingRun.promise)}},{key:"reset",value:function(){return this.clearResultsFrom(this.STEP_SCREENSIZE_ASK_IFKNOWS),this.container?this.goToStep(this.STEP_SCREENSIZE_ASK_IFKNOWS):this.currentStep=this.STEP_SCREENSIZE_ASK_IFKNOWS,this}},{key:"clearResultsFrom",value:function(e){function t(e){return n<=_.indexOf(i.stepOrder,e)}var i=this,n=_.indexOf(this.stepOrder,e);this.stopBlindSpot(),this.stopRefreshRateMeasurement(),this.stopMonitoring(),t(this.STEP_SCREENSIZE_CHOOSE_OBJECT)&&(this._currentImage=null),t(this.STEP_SCREENSIZE_RULER)&&(this.diagonalSize=null,this._imageRatio=.5,this._imageHeightRatio=.5,this._pixelAspectRatio=1,this._maxPixelsPerCm=null,this._objectSizeTrials=[],this._objectSizeStartRatio=null,this._draggedHandle=null,this._pinch=null,this.unpublishCssProperties()),t(this.STEP_DISTANCE_BLINDSPOT)&&(this.distanceFromScreen=this.DEFAULT_DISTANCE_FROM_SCREEN_IN_CM,this._distanceFromScreenSource=this.DISTANCE_SOURCE_DEFAULT,this._enteredDistanceInCm=null,this._blindSpotTrials=[],this._blindSpotDotX=null),t(this.STEP_BRIGHTNESS)&&(this._brightnessSelection={black:null,white:null}),t(this.STEP_GAMMA)&&(this._gammaMatches=[],this._gammaGrayLevel=128,this._gamma=null),t(this.STEP_REFRESH_RATE)&&(this._frameTimestamps=[],this._refreshRate=null),this._usedPreviousCalibration=!1,this._fullscreenExits=0,this._pauseReason=null,this.find(".calibrator-pause").hide()}},{key:"restart",value:function(){var e=0<arguments.length&&void 0!==arguments[0]?arguments[0]:this.STEP_SCREENSIZE_ASK_IFKNOWS;return this.getStep(e),_.indexOf(this.stepOrder,e)>_.indexOf(this.stepOrder,this.STEP_SCREENSIZE_RULER)&&!this.diagonalSize&&this.raiseError("the screen size is not calibrated, the calibrator can not restart from "+e+"."),e!==this.STEP_SCREENSIZE_ENTER_OBJECTSIZE||this._currentImage||this.raiseError("no reference object is chosen, the calibrator can not restart from "+e+"."),this.clearResultsFrom(e),this.start(e)}},{key:"destroy",value:function(){this._pendingRun&&this.callbackNow(0),this.isShown&&this.callStepHook("leave"),this.stopBlindSpot(),this.stopRefreshRateMeasurement(),this.stopMonitoring(),this.stopSessionGuard(),this.templateManager.cancel(),this.unpublishCssProperties(),this._destroyed=!0,$(window).off(this.eventNamespace),$(document).off(this.eventNamespace),this.root&&(this.root.remove(),this.root=null),this.container=null,$(this).off()}},{key:"on",value:function(e,t){return $(this).on(e,t),this}},{key:"off",value:function(e,t){return $(this).off(e,t),this}},{key:"emit",value:function(e,t){$(this).triggerHandler(e,[t])}},{key:"raiseError",value:function(e){e=new Error("Calibrator.js: "+e);throw this.emit("error",e),e}},{key:"show",value:function(){$(this.container).fadeIn(200),this.startSessionGuard()}},{key:"hide",value:function(){$(this.container).fadeOut(200),this.stopSessionGuard()}},{key:"toggle",value:function(){$(this.container).toggle(200)}},{key:"toggleInfo",value:function(){this.find(".calibrator-info-content").toggle(200)}},{key:"updateView",value:function(){var e=this;this.updateGuide(),this.find(".calibrator-title").animate({opacity:0},300,function(){e.find(".calibrator-title").html("<h3>"+_.escape(e.currentTitle)+"</h3>"),e.find(".calibrator-title").animate({opacity:300},100)}),e.find(".calibrator-content").animate({opacity:0},300,function(){e.find(".calibrator-content").html(e.currentContent),e.setStepLogic(),e.currentStepObject.back&&e.addBackButton(),e.find(".calibrator-content").animate({opacity:300},100,function(){e.resetEvents()})})}},{key:"updateGuide",value:function(){var e;this.find(".calibrator-guide").length?(_.each(this.find(".calibrator-guide div"),function(e){$(e).removeClass("calibrator-guide-active")}),0<=(e=_.indexOf(this.guideLabels,this.currentStepObject.guide))&&this.find(".calibrator-guide-step").eq(e).addClass("calibrator-guide-active")):console.log("Calibrator.js: calibrator-guide div not in the dom.")}},{key:"renderGuide",value:function(){this.find(".calibrator-guide").html(this.guideHtml),this.updateGuide()}},{key:"resetEvents",value:function(){this.find(".calibrator-info-icon").off(),this.find(".calibrator-dismiss-icon").off(),this.find(".calibrator-button").off(),this.find(".calibrator-size-range").off(),this.find(".calibrator-size-range-height").off(),this.find(".calibrator-gamma-range").off(),this.find(".calibrator-distance-input").off(),this.find(".calibrator-distance-unit").off(),this.find(".calibrator-canvas").off(),$(document).off(this.namespaced("keydown mousemove mouseup"));var n=this;this.find(".calibrator-info-icon").on("click",function(e){n.toggleInfo()}),this.find(".calibrator-dismiss-icon").on("click",function(e){n.callStepHook("leave"),n.callbackNow(0),n.hide()}),this.find(".calibrator-button").on("click",function(e){n.buttonClicked(e)}),this.find(".calibrator-size-range").on("input change",function(e){n.setRatioFromRange($(e.target)),n.setRangeFromRatio(),n.drawImage(),n.updateSummaryInformation()}),this.find(".calibrator-size-range-height").on("input change",function(e){n.setHeightRatioFromRange($(e.target)),n.drawImage(),n.updateSummaryInformation()}),this.find(".calibrator-gamma-range").on("input change",function(e){n._gammaGrayLevel=Number($(e.target).val()),n.drawGammaSquare()}),this.find(".calibrator-distance-input").on("input",function(e){n.previewDistanceFromInput()}),this.find(".calibrator-distance-unit").on("change",function(e){n.setInputFromDistance()}),this.find(".calibrator-canvas").on("mousedown",function(e){n.isAdjustingSize&&(n._draggedHandle=n.handleAt(n.canvasPosition(e)),n._draggedHandle)&&e.preventDefault()}),this.find(".calibrator-canvas").on("mousemove",function(e){var t;n.isAdjustingSize&&!n._draggedHandle&&(t=n.handleAt(n.canvasPosition(e)),e.target.style.cursor=t?"width"==t?"ew-resize":"ns-resize":"")}),$(document).on(this.namespaced("mousemove"),function(e){n._draggedHandle&&n.dragHandle(n._draggedHandle,n.canvasPosition(e))}),$(document).on(this.namespaced("mouseup"),function(e){n._draggedHandle=null}),this.find(".calibrator-canvas").on("touchstart",function(e){n.isAdjustingSize&&(2===e.originalEvent.touches.length?(e.preventDefault(),n._draggedHandle=null,n._pinch={distance:n.touchDistance(e),imageRatio:n.imageRatio,imageHeightRatio:n.imageHeightRatio}):(n._draggedHandle=n.handleAt(n.canvasPosition(e),2*n.HANDLE_SIZE_IN_PX),n._draggedHandle&&e.preventDefault()))}),this.find(".calibrator-canvas").on("touchmove",function(e){n._pinch&&2===e.originalEvent.touches.length?(e.preventDefault(),n.zoomReferenceImage(n._pinch,n.touchDistance(e)/n._pinch.distance)):n._draggedHandle&&(e.preventDefault(),n.dragHandle(n._draggedHandle,n.canvasPosition(e)))}),this.find(".calibrator-canvas").on("touchend touchcancel",function(e){e.originalEvent.touches.length<2&&(n._pinch=null),e.originalEvent.touches.length||(n._draggedHandle=null)}),this.find(".calibrator-canvas").on("click",function(e){n.currentStep==n.STEP_BRIGHTNESS&&null!==(e=n.brightnessBoxAt(n.canvasPosition(e)))&&n.selectBrightnessBox(e)}),this.find(".calibrator-canvas").on("wheel",function(e){var t;n.isAdjustingSize&&(e.preventDefault(),t=n.ADJUSTMENT_STEPS_IN_PX[e.shiftKey?1:0],n.resizeReferenceImage(e.originalEvent.deltaY<0?t:-t,null))}),$(document).on(this.namespaced("keydown"),function(e){var t,i;n.isShown&&(32===e.which&&n.currentStep==n.STEP_DISTANCE_BLINDSPOT&&null!==n._blindSpotAnimation&&(e.preventDefault(),n.recordBlindSpotTrial()),37<=e.which)&&e.which<=40&&n.isAdjustingSize&&!$(e.target).is("input, select, textarea")&&(e.preventDefault(),t=n.ADJUSTMENT_STEPS_IN_PX[e.shiftKey?1:0],i=39===e.which||38===e.which?1:-1,37===e.which||39===e.which?n.resizeReferenceImage(i*t,null):n.resizeReferenceImage(null,i*t))})}},{key:"registerStep",value:function(t){var e,i,n=1<arguments.length&&void 0!==arguments[1]?arguments[1]:{};return t&&t.name||this.raiseError("a step needs a name."),_.has(this.steps,t.name)&&this.raiseError("a step named "+t.name+" is already registered."),(t=_.defaults({},t,{template:"step:"+t.name,guide:t.guide||t.name,title:t.title||t.guide||t.name,next:null,back:null})).html?this.templateManager.store(t.template,t.html):t.templateUrl&&this.templateManager.add(t.template,t.templateUrl),null===n?this.stepOrder.push(t.name):n.after?(e=this.getStep(n.after),t.back=t.back||e.name,t.next=t.next||e.next,e.next&&this.steps[e.next].back===e.name&&(this.steps[e.next].back=t.name),e.next=t.name,this.stepOrder.splice(_.indexOf(this.stepOrder,e.name)+1,0,t.name)):(i=this.getStep(n.before||this.STEP_SUMMARY),_.each(this.steps,function(e){e.next===i.name&&(e.next=t.name)}),t.back=t.back||i.back,t.next=t.next||i.name,i.back=t.name,this.stepOrder.splice(_.indexOf(this.stepOrder,i.name),0,t.name)),this.steps[t.name]=t,this.container&&this.renderGuide(),this}},{key:"getStep",value:function(e){return _.has(this.steps,e)||this.raiseError("unknown step "+e+"."),this.steps[e]}},{key:"registerDefaultSteps",value:function(){this.registerStep({name:this.STEP_SCREENSIZE_ASK_IFKNOWS,template:"knownsize",title:this.STEP_TITLES[0],guide:this.STEP_GUIDES[0],variables:function(){var e=this.previousCalibration?this.previousCalibration.result:null;return{previousCalibrationStyle:e?"":"display:none;",previousDate:e?new Date(this.previousCalibration.savedAt).toLocaleDateString():"",previousDiagonalSize:e?e.diagonalSize.toFixed(this.FLOAT_PRECISION):"",previousDistance:e?e.distanceFromScreenInCm.toFixed(this.FLOAT_PRECISION):""}}},null),this.registerStep({name:this.STEP_SCREENSIZE_ENTER_KNOWNSIZE,template:"enterknownsize",title:this.STEP_TITLES[0],guide:this.STEP_GUIDES[0],back:this.STEP_SCREENSIZE_ASK_IFKNOWS,next:this.STEP_DISTANCE_CHOOSE_METHOD,enter:function(){$.isNumeric(this.diagonalSize)?this.find(".calibrator-monitor-size")[0].value=this.diagonalSize.toFixed(this.FLOAT_PRECISION):this.diagonalSize=null}},null),this.registerStep({name:this.STEP_SCREENSIZE_CHOOSE_OBJECT,template:"chooseobject",title:this.STEP_TITLES[0],guide:this.STEP_GUIDES[0],back:this.STEP_SCREENSIZE_ASK_IFKNOWS,variables:function(){var t=this,e=_.omit(this.referenceObjects,this.IMAGE_KEY_RULER);return{objectButtons:_.map(e,function(e){return'<button class="btn calibrator-button" type="button" value="'+_.escape(t.BUTTON_CHOOSE_OBJECT_PREFIX+e.key)+'">'+_.escape(e.label)+"</button>"}).join("")}}},null),this.registerStep({name:this.STEP_SCREENSIZE_ENTER_OBJECTSIZE,template:"specifystandardsize",title:this.STEP_TITLES[0],guide:this.STEP_GUIDES[0],back:this.STEP_SCREENSIZE_CHOOSE_OBJECT,next:this.STEP_DISTANCE_CHOOSE_METHOD,enter:function(){this.find(".calibrator-height-fitting").toggle(Boolean(this.referenceObjects[this.currentImage].heightCm)),this.updateMaxPixelsPerCm(!1),this.startObjectSizeTrials()},resize:function(){this.updateMaxPixelsPerCm(!0),this.drawImage()}},null),this.registerStep({name:this.STEP_SCREENSIZE_RULER,template:"ruler",title:this.STEP_TITLES[0],guide:this.STEP_GUIDES[0],back:this.STEP_SCREENSIZE_ASK_IFKNOWS,next:this.STEP_DISTANCE_CHOOSE_METHOD,enter:function(){this.chooseReferenceObject(this.IMAGE_KEY_RULER),this.updateMaxPixelsPerCm(!1),this.startObjectSizeTrials()},resize:function(){this.updateMaxPixelsPerCm(!0),this.drawImage()}},null),this.registerStep({name:this.STEP_DISTANCE_CHOOSE_METHOD,template:"choosedistance",title:this.STEP_TITLES[1],guide:this.STEP_GUIDES[1],back:this.STEP_SCREENSIZE_ASK_IFKNOWS,next:this.STEP_BRIGHTNESS,variables:function(){return{distanceFromScreen:this.distanceFromScreen.toFixed(0)}}},null),this.registerStep({name:this.STEP_DISTANCE_ENTER_DISTANCE,template:"enterdistance",title:this.STEP_TITLES[1],guide:this.STEP_GUIDES[1],back:this.STEP_DISTANCE_CHOOSE_METHOD,next:this.STEP_BRIGHTNESS,enter:function(){this._enteredDistanceInCm=null,this.setInputFromDistance(),this.updateSummaryInformation()}},null),this.registerStep({name:this.STEP_DISTANCE_BLINDSPOT,template:"blindspot",title:this.STEP_TITLES[1],guide:this.STEP_GUIDES[1],back:this.STEP_DISTANCE_CHOOSE_METHOD,next:this.STEP_BRIGHTNESS,variables:function(){return{numberOfTrials:this.BLINDSPOT_NUMBER_OF_TRIALS}},enter:function(){this._blindSpotTrials=[],this.resetBlindSpotDot(),this.drawBlindSpot(),this.updateBlindSpotInformation()},leave:function(){this.stopBlindSpot()},resume:function(){this.resetBlindSpotDot(),this._blindSpotTrials.length&&this._blindSpotTrials.length<this.BLINDSPOT_NUMBER_OF_TRIALS&&this.animateBlindSpot(),this.drawBlindSpot()},resize:function(){this.resetBlindSpotDot(),this.drawBlindSpot()}},null),this.registerStep({name:this.STEP_BRIGHTNESS,template:"setbrightness",title:this.STEP_TITLES[2],guide:this.STEP_GUIDES[2],back:this.STEP_DISTANCE_CHOOSE_METHOD,next:this.STEP_GAMMA,enter:function(){this._brightnessSelection={black:null,white:null},this.updateBrightnessInformation(),this.drawGrayScale()},resize:function(){this.drawGrayScale()},result:function(){var e=this.brightnessLevels,t=this._brightnessSelection;return{brightnessLevels:e,blackCrushIndex:t.black,blackCrushLevel:null!==t.black?e[t.black]:null,whiteClipIndex:t.white,whiteClipLevel:null!==t.white?e[t.white]:null}}},null),this.registerStep({name:this.STEP_GAMMA,template:"gamma",title:this.STEP_TITLES[2],guide:this.STEP_GUIDES[2],back:this.STEP_BRIGHTNESS,next:this.STEP_REFRESH_RATE,variables:function(){return{numberOfMatches:this.GAMMA_LUMINANCE_LEVELS.length}},enter:function(){this._gammaMatches=[],this.startGammaMatch()},resize:function(){this.drawGammaPattern()},result:function(){return{gamma:this.gamma,gammaMatches:this._gammaMatches.length?this._gammaMatches:null}}},null),this.registerStep({name:this.STEP_REFRESH_RATE,template:"refreshrate",title:this.STEP_TITLES[3],guide:this.STEP_GUIDES[3],back:this.STEP_GAMMA,next:this.STEP_SUMMARY,enter:function(){this.startRefreshRateMeasurement()},leave:function(){this.stopRefreshRateMeasurement()},resume:function(){this._refreshRate||this.startRefreshRateMeasurement()},result:function(){var e=this._refreshRate||{};return{refreshRate:_.has(e,"refreshRate")?e.refreshRate:null,frameIntervalMeanInMs:_.has(e,"frameIntervalMean")?e.frameIntervalMean:null,frameIntervalSDInMs:_.has(e,"frameIntervalSD")?e.frameIntervalSD:null,droppedFrames:_.has(e,"droppedFrames")?e.droppedFrames:null}}},null),this.registerStep({name:this.STEP_SUMMARY,template:"summary",title:this.STEP_TITLES[4],guide:this.STEP_GUIDES[4],back:this.STEP_REFRESH_RATE,variables:function(){return{diagonalSize:this.diagonalSize.toFixed(this.FLOAT_PRECISION),diagonalSizeInPx:Math.ceil(this.diagonalSizeInPx),distanceFromScreen:this.distanceFromScreen.toFixed(this.FLOAT_PRECISION),pixelsPerDegree:this.pixelsPerDegree.toFixed(this.FLOAT_PRECISION),pixelsPerInch:this.pixelsPerInch.toFixed(this.FLOAT_PRECISION),devicePixelRatio:this.devicePixelRatio,devicePixelsPerDegree:this.devicePixelsPerDegree.toFixed(this.FLOAT_PRECISION),devicePixelsPerInch:this.devicePixelsPerInch.toFixed(this.FLOAT_PRECISION),refreshRateStyle:this.options.showRefreshRate&&this._refreshRate?"":"display:none;",refreshRate:this._refreshRate?this._refreshRate.refreshRate.toFixed(0):""}}},null)}},{key:"callStepHook",value:function(e){var t=this.steps[this.currentStep];if(t&&_.isFunction(t[e]))return t[e].call(this,this)}},{key:"goToStep",value:function(e){this.getStep(e);var t=this.currentStep;this.callStepHook("leave"),this._stepEntered=!1,this.currentStep=e,this.updateView(),this.emit("stepchange",{step:e,previousStep:t,title:this.currentTitle})}},{key:"setStepLogic",value:function(){null===this._pauseReason&&(this._stepEntered=!0,this.callStepHook("enter"))}},{key:"goToNextStep",value:function(){this.currentStepObject.next&&this.goToStep(this.currentStepObject.next)}},{key:"goToPreviousStep",value:function(){this.currentStepObject.back&&this.goToStep(this.currentStepObject.back)}},{key:"addBackButton",value:function(){var e;(this.find(".calibrator-backdiv").length?(e='<button class="btn calibrator-button calibrator-button-back" value="back">Back</button>',this.find(".calibrator-backdiv")):(e='<div class="col-xs-12 calibrator-spacing"></div><div class="col-xs-12 "><button class="btn calibrator-button calibrator-button-back" value="back">Back</button></div>',this.find(".calibrator-content"))).append(e)}},{key:"buttonClicked",value:function(e){var t=e.target.value;if(0===t.indexOf(this.BUTTON_CHOOSE_OBJECT_PREFIX))this.chooseReferenceObject(t.substr(this.BUTTON_CHOOSE_OBJECT_PREFIX.length)),this.goToStep(this.STEP_SCREENSIZE_ENTER_OBJECTSIZE);else switch(t){case this.BUTTON_USE_PREVIOUS:this.restorePreviousCalibration(),this.goToStep(this.STEP_SUMMARY);break;case this.BUTTON_RECALIBRATE:this._usedPreviousCalibration=!1,this.previousCalibration=null,this.find(".calibrator-previous-calibration").hide(200);break;case this.BUTTON_SIZEKNOWN:this._usedPreviousCalibration=!1,this.goToStep(this.STEP_SCREENSIZE_ENTER_KNOWNSIZE);break;case this.BUTTON_SIZEUNKNOWN:this._usedPreviousCalibration=!1,this.goToStep(this.STEP_SCREENSIZE_CHOOSE_OBJECT);break;case this.BUTTON_USE_RULER:this._usedPreviousCalibration=!1,this.goToStep(this.STEP_SCREENSIZE_RULER);break;case this.BUTTON_CONFIRM_MANUALSIZE:$.isNumeric(this.find(".calibrator-monitor-size")[0].value)?(this._pixelAspectRatio=1,this._objectSizeTrials=[],this.diagonalSize=Number(this.find(".calibrator-monitor-size")[0].value),this.goToNextStep()):console.log("Calibrator.js: monitor size is invalid");break;case this.BUTTON_GROW_WIDTH:case this.BUTTON_SHRINK_WIDTH:this.resizeReferenceImage((t==this.BUTTON_GROW_WIDTH?1:-1)*this.ADJUSTMENT_STEPS_IN_PX[0],null);break;case this.BUTTON_GROW_HEIGHT:case this.BUTTON_SHRINK_HEIGHT:this.resizeReferenceImage(null,(t==this.BUTTON_GROW_HEIGHT?1:-1)*this.ADJUSTMENT_STEPS_IN_PX[0]);break;case this.BUTTON_CONFIRM_OBJECTSIZE:case this.BUTTON_CONFIRM_RULER:this.recordObjectSizeTrial()&&this.goToNextStep();break;case this.BUTTON_CHOOSE_BLINDSPOT:this.goToStep(this.STEP_DISTANCE_BLINDSPOT);break;case this.BUTTON_CHOOSE_MANUALDISTANCE:this.goToStep(this.STEP_DISTANCE_ENTER_DISTANCE);break;case this.BUTTON_KEEP_DISTANCE:this.goToNextStep();break;case this.BUTTON_CONFIRM_MANUALDISTANCE:this.setDistanceFromInput()?this.goToNextStep():console.log("Calibrator.js: viewing distance is invalid");break;case this.BUTTON_START_BLINDSPOT:this.startBlindSpot();break;case this.BUTTON_CONFIRM_DISTANCE:this.goToNextStep();break;case this.BUTTON_CONFIRM_BRIGHTNESS:null!==this._brightnessSelection.black&&null!==this._brightnessSelection.white?this.goToNextStep():console.log("Calibrator.js: select the darkest and the lightest boxes first");break;case this.BUTTON_MEASURE_REFRESH_RATE:this.startRefreshRateMeasurement();break;case this.BUTTON_CONFIRM_REFRESH_RATE:this.goToNextStep();break;case this.BUTTON_CONFIRM_GAMMA_MATCH:this.recordGammaMatch()&&this.goToNextStep();break;case this.BUTTON_FINAL_CONFIRM:this.callbackNow(1),this.hide();break;case this.BUTTON_RESUME:this.resume();break;case this.BUTTON_NEXT:this.goToNextStep();break;case this.BUTTON_BACK:this.goToPreviousStep();break;default:_.isFunction(this.currentStepObject.buttonClicked)&&this.currentStepObject.buttonClicked.call(this,t,this)}}},{key:"updateSummaryInformation",value:function(){var t=this;this.find(".calibrator-diagonal-size-inches").length&&this.diagonalSize&&_.each(this.find(".calibrator-diagonal-size-inches"),function(e){$(e).html(t.diagonalSize.toFixed(t.FLOAT_PRECISION)+" inches")}),this.find(".calibrator-pixels-per-degree").length&&this.diagonalSize&&_.each(this.find(".calibrator-pixels-per-degree"),function(e){$(e).html(t.pixelsPerDegree.toFixed(t.FLOAT_PRECISION))}),this.find(".calibrator-device-pixels-per-degree").length&&this.diagonalSize&&_.each(this.find(".calibrator-device-pixels-per-degree"),function(e){$(e).html(t.devicePixelsPerDegree.toFixed(t.FLOAT_PRECISION))}),this.find(".calibrator-distance-cm").length&&_.each(this.find(".calibrator-distance-cm"),function(e){$(e).html(t.distanceFromScreen.toFixed(t.FLOAT_PRECISION))}),this.find(".calibrator-pixel-aspect-ratio").length&&_.each(this.find(".calibrator-pixel-aspect-ratio"),function(e){$(e).html(t.pixelAspectRatio.toFixed(t.FLOAT_PRECISION))}),this.find(".calibrator-anisotropy-warning").toggle(this.hasAnisotropicPixels)}},{key:"callbackNow",value:function(e){var t={status:0,diagonalSize:null,diagonalSizeInPx:this.diagonalSizeInPx,diagonalSizeInDevicePx:this.diagonalSizeInDevicePx,devicePixelRatio:this.devicePixelRatio,screenWidthPx:this.screenWidthPx,screenHeightPx:this.screenHeightPx,availWidthPx:this.availWidthPx,availHeightPx:this.availHeightPx,viewportWidthPx:window.innerWidth,viewportHeightPx:window.innerHeight,fullscreen:this.isFullscreen,fullscreenExits:this._fullscreenExits,distanceFromScreenInCm:null,distanceFromScreenSource:null,pixelsPerInch:null,devicePixelsPerInch:null,pixelsPerCm:null,devicePixelsPerCm:null,mmPerPixel:null,arcminPerPixel:null,screenWidthCm:null,screenHeightCm:null,aspectRatio:null,screenWidthDeg:null,screenHeightDeg:null,viewportWidthDeg:null,viewportHeightDeg:null,horizontalPixelsPerCm:null,verticalPixelsPerCm:null,pixelAspectRatio:null,anisotropicPixels:null,objectSizeTrials:this._objectSizeTrials.length?this._objectSizeTrials:null,objectSizeMean:this.objectSizeMean,objectSizeSD:this.objectSizeSD,objectSizeRelativeSD:this.objectSizeRelativeSD,pixelsPerDegree:null,devicePixelsPerDegree:null,centralPixelsPerDegree:null,centralDevicePixelsPerDegree:null,usedPreviousCalibration:this._usedPreviousCalibration,previousCalibration:this.previousCalibration,units:_.clone(this.OUTPUT_UNITS)},i=(this.diagonalSize&&(t.status=e,t.diagonalSize=this.diagonalSize,t.distanceFromScreenInCm=this.distanceFromScreen,t.distanceFromScreenSource=this._distanceFromScreenSource,t.pixelsPerInch=this.pixelsPerInch,t.devicePixelsPerInch=this.devicePixelsPerInch,t.pixelsPerCm=this.pixelsPerCm,t.devicePixelsPerCm=this.devicePixelsPerCm,t.mmPerPixel=this.mmPerPixel,t.arcminPerPixel=this.arcminPerPixel,t.screenWidthCm=this.screenWidthCm,t.screenHeightCm=this.screenHeightCm,t.aspectRatio=this.aspectRatio,t.screenWidthDeg=this.screenWidthDeg,t.screenHeightDeg=this.screenHeightDeg,t.viewportWidthDeg=this.viewportWidthDeg,t.viewportHeightDeg=this.viewportHeightDeg,t.horizontalPixelsPerCm=this.horizontalPixelsPerCm,t.verticalPixelsPerCm=this.verticalPixelsPerCm,t.pixelAspectRatio=this.pixelAspectRatio,t.anisotropicPixels=this.hasAnisotropicPixels,t.pixelsPerDegree=this.pixelsPerDegree,t.devicePixelsPerDegree=this.devicePixelsPerDegree,t.centralPixelsPerDegree=this.centralPixelsPerDegree,t.centralDevicePixelsPerDegree=this.centralDevicePixelsPerDegree),this);_.each(this.stepOrder,function(e){_.isFunction(i.steps[e].result)&&_.extend(t,i.steps[e].result.call(i,i))}),1===t.status&&this.options.persistCalibration&&this.saveCalibration(t),1===t.status&&this.options.publishCssProperties&&this.publishCssProperties(),1===t.status&&this.options.monitorAfterCalibration&&this.startMonitoring(),this.callbackWhenClosed?this.callbackWhenClosed(t):this._pendingRun||(console.log("Calibrator.js: Has been dismissed"),console.log(t)),this.emit(1===t.status?"complete":"dismiss",t),this._pendingRun&&(e=this._pendingRun,this._pendingRun=null,e.resolve(t))}},{key:"loadCalibration",value:function(){try{var e=JSON.parse(window.localStorage.getItem(this.storageKey));return e?Date.now()-e.savedAt>24*this.options.persistenceExpiryInDays*3600*1e3?(window.localStorage.removeItem(this.storageKey),null):e:null}catch(e){return console.log("Calibrator.js: could not load the previous calibration. "+e),null}}},{key:"saveCalibration",value:function(e){e={savedAt:this._usedPreviousCalibration&&this.previousCalibration?this.previousCalibration.savedAt:Date.now(),fingerprint:this.displayFingerprint,result:_.omit(e,"previousCalibration")};try{window.localStorage.setItem(this.storageKey,JSON.stringify(e))}catch(e){console.log("Calibrator.js: could not save the calibration. "+e)}}},{key:"restorePreviousCalibration",value:function(){var e;this.previousCalibration&&(e=this.previousCalibration.result,this._pixelAspectRatio=e.pixelAspectRatio||1,this._objectSizeTrials=e.objectSizeTrials||[],this._gamma=e.gamma||null,this._gammaMatches=e.gammaMatches||[],this._brightnessSelection={black:_.isNumber(e.blackCrushIndex)?e.blackCrushIndex:null,white:_.isNumber(e.whiteClipIndex)?e.whiteClipIndex:null},this._refreshRate=e.refreshRate?{refreshRate:e.refreshRate,frameIntervalMean:e.frameIntervalMeanInMs,frameIntervalSD:e.frameIntervalSDInMs,droppedFrames:e.droppedFrames}:null,this.diagonalSize=e.diagonalSize,this.distanceFromScreen=e.distanceFromScreenInCm,this._distanceFromScreenSource=e.distanceFromScreenSource||this.DISTANCE_SOURCE_DEFAULT,this._usedPreviousCalibration=!0)}},{key:"startSessionGuard",value:function(){this.options.requireFullscreen&&!this.isFullscreen&&this.pause("start"),this.requestWakeLock()}},{key:"stopSessionGuard",value:function(){this._wakeLock&&(this._wakeLock.release(),this._wakeLock=null)}},{key:"pause",value:function(e){var t=null!==this._pauseReason;t&&"hidden"==e||(this._pauseReason=e),this.find(".calibrator-pause-message").html(this.PAUSE_MESSAGES[this._pauseReason]),this.find(".calibrator-pause").show(),t||(this._stepEntered&&this.callStepHook("leave"),this.emit("pause",{reason:e}))}},{key:"resume",value:function(){var e;this.options.requireFullscreen&&!this.isFullscreen?this.requestFullscreen():null!==this._pauseReason&&(e=this._pauseReason,this._pauseReason=null,this.find(".calibrator-pause").hide(),this.requestWakeLock(),this.canvasResized(),this._stepEntered?this.callStepHook("resume"):this.setStepLogic(),this.updateSummaryInformation(),this.emit("resume",{reason:e}))}},{key:"requestFullscreen",value:function(){var e=document.documentElement,t=e.requestFullscreen||e.webkitRequestFullscreen;t?(t=t.call(e))&&t.catch&&t.catch(function(e){console.log("Calibrator.js: fullscreen was refused. "+e)}):console.log("Calibrator.js: fullscreen is not supported by this browser")}},{key:"requestWakeLock",value:function(){var t;this.options.keepScreenAwake&&!this._wakeLock&&navigator.wakeLock&&(t=this,navigator.wakeLock.request("screen").then(function(e){t._destroyed?e.release():(t._wakeLock=e).addEventListener("release",function(){t._wakeLock===e&&(t._wakeLock=null)})}).catch(function(e){console.log("Calibrator.js: the screen wake lock was refused. "+e)}))}},{key:"fullscreenChanged",value:function(){this.options.requireFullscreen&&this.isShown&&(this.isFullscreen?this.resume():(this._fullscreenExits++,this.pause("fullscreen")))}},{key:"visibilityChanged",value:function(){this.isShown&&(document.hidden?(this.options.requireFullscreen||this.options.keepScreenAwake)&&this.pause("hidden"):this.requestWakeLock())}},{key:"startMonitoring",value:function(){var e;this.stopMonitoring(),this._calibrationSnapshot=this.displaySnapshot,$(window).on(this.namespaced("resize orientationchange"),this._checkCalibrationValidity),window.matchMedia&&(e=window.matchMedia("(resolution: "+this.devicePixelRatio+"dppx)")).matches&&(this._resolutionMediaQuery=e,this._resolutionMediaQuery.addListener(this._checkCalibrationValidity))}},{key:"stopMonitoring",value:function(){this._calibrationSnapshot=null,$(window).off(this.namespaced("resize orientationchange"),this._checkCalibrationValidity),this._resolutionMediaQuery&&(this._resolutionMediaQuery.removeListener(this._checkCalibrationValidity),this._resolutionMediaQuery=null)}},{key:"checkCalibrationValidity",value:function(){var e,t,i;this._calibrationSnapshot&&(e=this._calibrationSnapshot,i=null,(t=this.displaySnapshot).orientation!==e.orientation?i="orientation":t.devicePixelRatio!==e.devicePixelRatio?i="zoom":t.screenWidthPx===e.screenWidthPx&&t.screenHeightPx===e.screenHeightPx||(i="resolution"),i)&&(console.log("Calibrator.js: calibration invalidated ("+i+")"),this.stopMonitoring(),this.emit("invalidated",{reason:i,previous:e,current:t}),this.options.reopenWhenInvalidated)&&(this.goToStep(this.STEP_SCREENSIZE_ASK_IFKNOWS),this.show())}},{key:"updateCanvasHeight",value:function(){var e;this.currentImage&&(e=(e=this.referenceObjects[this.currentImage]).heightCm?e.heightCm*this.currentMaxPixelsPerCm:this.REFERENCE_BAR_HEIGHT_IN_PX,this.canvasHeight=e+this.REFERENCE_CANVAS_MARGIN_IN_PX)}},{key:"updateMaxPixelsPerCm",value:function(){var e,t,i,n,s=0<arguments.length&&void 0!==arguments[0]&&arguments[0],a=this.referenceObjects[this.currentImage];a&&(e=this.currentImageScaledWidthInPx,t=this.currentImageScaledHeightInPx,(n=a.maxPixelsPerCm)||(n=((this.find(".calibrator-canvas").length?this.find(".calibrator-canvas")[0].offsetWidth:0)-2*this.RULER_MARGIN_IN_PX)/a.widthCm,a.heightCm&&(i=window.innerHeight*this.REFERENCE_MAX_VIEWPORT_HEIGHT_FRACTION-this.REFERENCE_CANVAS_MARGIN_IN_PX,n=Math.min(n,i/a.heightCm)),0<n)||(n=this.REFERENCE_MAX_PIXELS_PER_CM),this._maxPixelsPerCm=n,s&&(this._imageRatio=Math.min(e/(a.widthCm*n),1),a.heightCm?this._imageHeightRatio=Math.min(t/(a.heightCm*n),1):this._imageHeightRatio=this._imageRatio,this.setRangeFromRatio(),this.setDiagonalSizeFromRatio(),this.updateSummaryInformation()),this.updateCanvasHeight())}},{key:"fitCanvasToContainer",value:function(){var e;this.find(".calibrator-canvas").length&&((e=this.find(".calibrator-canvas")[0]).style.width="100%",e.style.height=this.canvasHeight+"px",e.width=e.offsetWidth,e.height=e.offsetHeight)}},{key:"canvasResized",value:function(){this.fitCanvasToContainer(),this.callStepHook("resize")}},{key:"drawImage",value:function(){var t,e;this.find(".calibrator-canvas").length&&this.isAdjustingSize&&(this.fitCanvasToContainer(),e=this.find(".calibrator-canvas")[0],(t=e.getContext("2d")).clearRect(0,0,e.width,e.height),e=this.referenceImageBounds,_.has(this.cachedImages,this._currentImage)?t.drawImage(this.cachedImages[this._currentImage],e.x,e.y,e.width,e.height):this.drawReferenceShape(t,this.referenceObjects[this._currentImage],e.x,e.y,e.width,e.height),t.fillStyle="#337AB7",_.each(this.handlePositions,function(e){t.fillRect(e.x-this.HANDLE_SIZE_IN_PX/2,e.y-this.HANDLE_SIZE_IN_PX/2,this.HANDLE_SIZE_IN_PX,this.HANDLE_SIZE_IN_PX)},this))}},{key:"canvasPosition",value:function(e){var t=this.find(".calibrator-canvas").offset(),i=e;return{x:(i=e.originalEvent&&e.originalEvent.touches&&e.originalEvent.touches.length?e.originalEvent.touches[0]:i).pageX-t.left,y:i.pageY-t.top}}},{key:"touchDistance",value:function(e){e=e.originalEvent.touches;return Math.sqrt(Math.pow(e[1].pageX-e[0].pageX,2)+Math.pow(e[1].pageY-e[0].pageY,2))}},{key:"handleAt",value:function(t){var i=1<arguments.length&&void 0!==arguments[1]?arguments[1]:this.HANDLE_SIZE_IN_PX;return _.findKey(this.handlePositions,function(e){return Math.abs(e.x-t.x)<=i&&Math.abs(e.y-t.y)<=i})||null}},{key:"dragHandle",value:function(e,t){var i=this.referenceImageBounds;"width"==e?(e=this.currentStep==this.STEP_SCREENSIZE_RULER?t.x-i.x:2*(t.x-(i.x+i.width/2)),this.resizeReferenceImage(e-i.width,null)):(e=2*(t.y-(i.y+i.height/2)),this.resizeReferenceImage(null,e-i.height))}},{key:"resizeReferenceImage",value:function(e,t){var i=this.referenceObjects[this.currentImage];i&&(null===t||i.heightCm||(e=t,t=null),null!==e&&(e=(this.currentImageScaledWidthInPx+e)/(i.widthCm*this.currentMaxPixelsPerCm),this.imageRatio=Math.min(Math.max(e,0),1)),null!==t&&(e=(this.currentImageScaledHeightInPx+t)/(i.heightCm*this.currentMaxPixelsPerCm),this.imageHeightRatio=Math.min(Math.max(e,0),1)),this.setRangeFromRatio(),this.updateSummaryInformation())}},{key:"zoomReferenceImage",value:function(e,t){var i,n=this.referenceObjects[this.currentImage];n&&0<t&&(0<(i=n.heightCm?Math.max(e.imageRatio,e.imageHeightRatio):e.imageRatio)&&(t=Math.min(t,1/i)),this._imageRatio=e.imageRatio*t,this._imageHeightRatio=n.heightCm?e.imageHeightRatio*t:this._imageRatio,this.setDiagonalSizeFromRatio(),this.drawImage(),this.setRangeFromRatio(),this.updateSummaryInformation())}},{key:"drawReferenceShape",value:function(e,t,i,n,s,a){switch(e.fillStyle="#DADADA",e.strokeStyle="#424242",e.lineWidth=1,e.beginPath(),t.shape){case"circle":e.ellipse(i+s/2,n+a/2,s/2,a/2,0,0,2*Math.PI),e.fill(),e.stroke();break;case"rectangle":var r=.06*Math.min(s,a);e.moveTo(i+r,n),e.arcTo(i+s,n,i+s,n+a,r),e.arcTo(i+s,n+a,i,n+a,r),e.arcTo(i,n+a,i,n,r),e.arcTo(i,n,i+s,n,r),e.closePath(),e.fill(),e.stroke();break;case"ruler":e.rect(i,n,s,a),e.fill(),e.stroke();var h=s/t.widthCm,o=30<=h?10:1;e.beginPath(),e.fillStyle="#424242",e.font="10px sans-serif",e.textAlign="center";for(var l=0;l<=t.widthCm*o;l++){var c=i+l*h/o,u=a/4;l%o==0?(u=a/2,e.fillText(String(l/o),c,n+a-4)):l%(o/2)==0&&(u=a/3),e.moveTo(c,n),e.lineTo(c,n+u)}e.stroke();break;default:e.moveTo(i,n),e.lineTo(i,n+a),e.moveTo(i+s,n),e.lineTo(i+s,n+a),e.moveTo(i,n+a/2),e.lineTo(i+s,n+a/2),e.lineWidth=2,e.stroke()}}},{key:"setRatioFromRange",value:function(){var e,t=0<arguments.length&&void 0!==arguments[0]?arguments[0]:null;null===t&&(t=this.find(".calibrator-size-range")),$(t).length&&(e=Number($(t).attr("max"))-Number($(t).attr("min")),t=Number($(t).val()),this.imageRatio=t/e)}},{key:"setRangeFromRatio",value:function(){var e,t=0<arguments.length&&void 0!==arguments[0]?arguments[0]:null;null===t&&(t=this.find(".calibrator-size-range")),$(t).length&&(e=Number($(t).attr("max"))-Number($(t).attr("min")),$(t).val(this.imageRatio*e+Number($(t).attr("min")))),this.find(".calibrator-size-range-height").length&&(e=this.find(".calibrator-size-range-height"),t=Number(e.attr("max"))-Number(e.attr("min")),e.val(this.imageHeightRatio*t+Number(e.attr("min"))))}},{key:"setHeightRatioFromRange",value:function(){var e,t=0<arguments.length&&void 0!==arguments[0]?arguments[0]:null;null===t&&(t=this.find(".calibrator-size-range-height")),$(t).length&&(e=Number($(t).attr("max"))-Number($(t).attr("min")),t=Number($(t).val()),this.imageHeightRatio=t/e)}},{key:"startObjectSizeTrials",value:function(){this._objectSizeTrials=[],this.startObjectSizeTrial()}},{key:"startObjectSizeTrial",value:function(){var e=this.OBJECT_SIZE_START_RATIO_RANGE;this._objectSizeStartRatio=e[0]+Math.random()*(e[1]-e[0]),this._imageRatio=this._objectSizeStartRatio,this._imageHeightRatio=this._objectSizeStartRatio,this.setDiagonalSizeFromRatio(),this.drawImage(),this.setRangeFromRatio(),this.updateObjectSizeTrialInformation(),this.updateSummaryInformation()}},{key:"recordObjectSizeTrial",value:function(){var e=this.sizeFromRatio;if(!e||!this.isValidDiagonalSize(e.diagonalSize))return console.log("Calibrator.js: the reference object size is invalid"),!1;this._objectSizeTrials.push({diagonalSize:e.diagonalSize,pixelAspectRatio:e.pixelAspectRatio,startRatio:this._objectSizeStartRatio,imageRatio:this.imageRatio,imageHeightRatio:this.imageHeightRatio});var e=this._objectSizeTrials.length,t=this.objectSizeRelativeSD<=this.options.objectSizeTolerance;return e<this.options.objectSizeTrials||!t&&e<this.options.objectSizeMaxTrials?(this.startObjectSizeTrial(),!1):(this._pixelAspectRatio=_.reduce(this._objectSizeTrials,function(e,t){return e+t.pixelAspectRatio},0)/e,this.diagonalSize=this.objectSizeMean,!0)}},{key:"updateObjectSizeTrialInformation",value:function(){var e=Math.max(this.options.objectSizeTrials,this._objectSizeTrials.length+1);this.find(".calibrator-object-trials").toggle(1<e),this.find(".calibrator-object-trials-progress").html(this._objectSizeTrials.length+1+" / "+e),this.find(".calibrator-object-trials-retry").toggle(this._objectSizeTrials.length>=this.options.objectSizeTrials)}},{key:"setDiagonalSizeFromRatio",value:function(){var e=this.sizeFromRatio;e&&(this._pixelAspectRatio=e.pixelAspectRatio,this.diagonalSize=e.diagonalSize)}},{key:"isValidDiagonalSize",value:function(e){return e>this.DIAGONAL_VALID_RANGE_IN_INCHES[0]&&e<this.DIAGONAL_VALID_RANGE_IN_INCHES[1]}},{key:"distanceFromInput",value:function(){var e;return!this.find(".calibrator-distance-input").length||(e=this.find(".calibrator-distance-input")[0].value,!$.isNumeric(e))||(e=Number(e)*("inches"===this.find(".calibrator-distance-unit").val()?2.54:1))<this.DISTANCE_VALID_RANGE_IN_CM[0]||e>this.DISTANCE_VALID_RANGE_IN_CM[1]?null:e}},{key:"previewDistanceFromInput",value:function(){this._enteredDistanceInCm=this.distanceFromInput();var e=this._enteredDistanceInCm&&this.diagonalSize?this.pixelsPerDegreeAtDistance(this._enteredDistanceInCm).toFixed(this.FLOAT_PRECISION):"-";this.find(".calibrator-pixels-per-degree").html(e)}},{key:"setDistanceFromInput",value:function(){var e=this.distanceFromInput();return null!==e&&(this.distanceFromScreen=e,this._distanceFromScreenSource=this.DISTANCE_SOURCE_ENTERED,this._enteredDistanceInCm=null,this.updateSummaryInformation(),!0)}},{key:"setInputFromDistance",value:function(){var e,t;this.find(".calibrator-distance-input").length&&(e="inches"===this.find(".calibrator-distance-unit").val()?2.54:1,t=this._enteredDistanceInCm||this.distanceFromScreen,this.find(".calibrator-distance-input")[0].value=(t/e).toFixed(this.FLOAT_PRECISION))}},{key:"startBlindSpot",value:function(){this.horizontalPixelsPerCm||this.raiseError("screen size must be calibrated before measuring the viewing distance."),this.stopBlindSpot(),this._blindSpotTrials=[],this.updateBlindSpotInformation(),this.resetBlindSpotDot(),this.animateBlindSpot()}},{key:"animateBlindSpot",value:function(){this.stopBlindSpot();var i=this,n=null;this._blindSpotAnimation=window.requestAnimationFrame(function e(t){null!==n&&(i._blindSpotDotX-=i.BLINDSPOT_DOT_SPEED_IN_CM_PER_SECOND*i.horizontalPixelsPerCm*(t-n)/1e3,i._blindSpotDotX<0)&&i.resetBlindSpotDot(),n=t,i.drawBlindSpot(),i._blindSpotAnimation=window.requestAnimationFrame(e)})}},{key:"stopBlindSpot",value:function(){null!==this._blindSpotAnimation&&(window.cancelAnimationFrame(this._blindSpotAnimation),this._blindSpotAnimation=null)}},{key:"recordBlindSpotTrial",value:function(){var e=(this.blindSpotFixationX-this._blindSpotDotX)/this.horizontalPixelsPerCm;1<=e&&this._blindSpotTrials.push(e),this.resetBlindSpotDot(),this._blindSpotTrials.length>=this.BLINDSPOT_NUMBER_OF_TRIALS&&(this.stopBlindSpot(),this.distanceFromScreen=this.blindSpotDistance,this._distanceFromScreenSource=this.DISTANCE_SOURCE_MEASURED,this.drawBlindSpot()),this.updateBlindSpotInformation()}},{key:"resetBlindSpotDot",value:function(){this.fitCanvasToContainer(),this._blindSpotDotX=this.blindSpotFixationX}},{key:"drawBlindSpot",value:function(){var e,t,i,n,s;this.find(".calibrator-canvas").length&&this.currentStep==this.STEP_DISTANCE_BLINDSPOT&&(t=(e=this.find(".calibrator-canvas")[0]).getContext("2d"),i=Math.round(e.height/2),n=Math.round(this.horizontalPixelsPerCm/2),s=this.blindSpotFixationX,t.clearRect(0,0,e.width,e.height),t.strokeStyle="black",t.lineWidth=3,t.beginPath(),t.moveTo(s-n,i),t.lineTo(s+n,i),t.moveTo(s,i-n),t.lineTo(s,i+n),t.stroke(),null!==this._blindSpotAnimation)&&(t.fillStyle="red",t.beginPath(),t.arc(this._blindSpotDotX,i,Math.round(this.horizontalPixelsPerCm/4),0,2*Math.PI),t.fill())}},{key:"updateBlindSpotInformation",value:function(){this.find(".calibrator-blindspot-progress").html(this._blindSpotTrials.length+" / "+this.BLINDSPOT_NUMBER_OF_TRIALS);var e=this._blindSpotTrials.length>=this.BLINDSPOT_NUMBER_OF_TRIALS;this.find(".calibrator-blindspot-distance").html(e?this.distanceFromScreen.toFixed(this.FLOAT_PRECISION)+" cm":"-"),this.find(".calibrator-button[value='"+this.BUTTON_CONFIRM_DISTANCE+"']").prop("disabled",!e)}},{key:"drawGrayScale",value:function(){var e,i,n;this.find(".calibrator-canvas").length&&this.currentStep==this.STEP_BRIGHTNESS?(this.fitCanvasToContainer(),e=this.find(".calibrator-canvas")[0],(i=e.getContext("2d")).clearRect(0,0,e.width,e.height),n=this.brightnessBoxesBounds,i.fillStyle="rgb(0,0,0)",i.fillRect(0,0,e.width,Math.round(e.height/2)),i.fillStyle="rgb(255,255,255)",i.fillRect(0,Math.round(e.height/2),e.width,e.height-Math.round(e.height/2)),_.each(this.brightnessLevels,function(e,t){i.fillStyle="rgb("+e+","+e+","+e+")",i.fillRect(n.x+t*n.boxWidth,n.y,n.boxWidth,n.boxHeight)}),i.lineWidth=3,_.each([[this._brightnessSelection.black,"#FC0020"],[this._brightnessSelection.white,"#0069AB"]],function(e){null!==e[0]&&(i.strokeStyle=e[1],i.strokeRect(n.x+e[0]*n.boxWidth,n.y-5,n.boxWidth,n.boxHeight+10))})):this.raiseError("the canvas element is not present, cannot drawImage().")}},{key:"brightnessBoxAt",value:function(e){var t=this.brightnessBoxesBounds,i=Math.floor((e.x-t.x)/t.boxWidth);return 0<=i&&i<this.brightnessLevels.length&&e.y>=t.y&&e.y<=t.y+t.boxHeight?i:null}},{key:"selectBrightnessBox",value:function(e){var t=this._brightnessSelection;if(null===t.black)t.black=e;else if(null===t.white){if(e<=t.black)return void this.find(".calibrator-brightness-inverted").show();t.white=e}else t.black=e,t.white=null;this.updateBrightnessInformation(),this.drawGrayScale()}},{key:"updateBrightnessInformation",value:function(){var e=this._brightnessSelection;this.find(".calibrator-brightness-select-black").toggle(null===e.black),this.find(".calibrator-brightness-select-white").toggle(null!==e.black&&null===e.white),this.find(".calibrator-brightness-selected").toggle(null!==e.white),this.find(".calibrator-brightness-inverted").hide(),this.find(".calibrator-button[value='"+this.BUTTON_CONFIRM_BRIGHTNESS+"']").prop("disabled",null===e.white)}},{key:"startGammaMatch",value:function(){this._gammaGrayLevel=Math.round(64+128*Math.random()),this.find(".calibrator-gamma-range").val(this._gammaGrayLevel),this.find(".calibrator-gamma-progress").html(this._gammaMatches.length+1+" / "+this.GAMMA_LUMINANCE_LEVELS.length),this.drawGammaPattern()}},{key:"recordGammaMatch",value:function(){return this._gammaMatches.push({luminance:this.GAMMA_LUMINANCE_LEVELS[this._gammaMatches.length],grayLevel:this._gammaGrayLevel}),this._gammaMatches.length<this.GAMMA_LUMINANCE_LEVELS.length?(this.startGammaMatch(),!1):(this._gamma=this.fitGamma(this._gammaMatches),!0)}},{key:"fitGamma",value:function(e){var i,n,e=_.filter(e,function(e){return 0<e.grayLevel&&e.grayLevel<255});return e.length?(n=i=0,_.each(e,function(e){var t=Math.log(e.grayLevel/255);i+=Math.log(e.luminance)*t,n+=t*t}),i/n):(console.log("Calibrator.js: the gamma could not be estimated from the matches"),null)}},{key:"drawGammaPattern",value:function(){if(this.find(".calibrator-canvas").length&&this.currentStep==this.STEP_GAMMA){this.fitCanvasToContainer();var e=this.find(".calibrator-canvas")[0],t=this.devicePixelRatio,i=(e.width=Math.floor(e.offsetWidth*t),e.height=Math.floor(e.offsetHeight*t),e.style.width=e.width/t+"px",e.style.height=e.height/t+"px",t%1!=0&&console.log("Calibrator.js: the device pixel ratio "+t+" is fractional (page zoom?), the browser may resample the gamma pattern and bias the matches."),e.getContext("2d")),t=this.GAMMA_LUMINANCE_LEVELS[Math.min(this._gammaMatches.length,this.GAMMA_LUMINANCE_LEVELS.length-1)],n=2*t%1==0?2:4,s=Math.round(t*n);i.fillStyle="rgb(0, 0, 0)",i.fillRect(0,0,e.width,e.height),i.fillStyle="rgb(255, 255, 255)";for(var a=0;a<e.height;a++)a%n<s&&i.fillRect(0,a,e.width,1);t=Math.round(Math.min(e.width,e.height)/3);this._gammaSquare={x:Math.round((e.width-t)/2),y:Math.round((e.height-t)/2),size:t},this.drawGammaSquare()}else this.raiseError("the canvas element is not present, cannot drawGammaPattern().")}},{key:"drawGammaSquare",value:function(){var e,t;this._gammaSquare&&this.find(".calibrator-canvas").length&&(e=this.find(".calibrator-canvas")[0].getContext("2d"),t=this._gammaGrayLevel,e.fillStyle="rgb("+t+", "+t+", "+t+")",e.fillRect(this._gammaSquare.x,this._gammaSquare.y,this._gammaSquare.size,this._gammaSquare.size))}},{key:"linearizeGray",value:function(e){return(!$.isNumeric(e)||e<0||255<e)&&this.raiseError("linearizeGray() expects a level between 0 and 255, got "+e+"."),Math.round(255*Math.pow(e/255,1/(this.gamma||this.DEFAULT_GAMMA)))}},{key:"startRefreshRateMeasurement",value:function(){this.stopRefreshRateMeasurement(),this._frameTimestamps=[],this._refreshRate=null;var i=this,n=0;this._refreshRateAnimation=window.requestAnimationFrame(function e(t){++n>i.REFRESH_RATE_WARMUP_FRAMES&&i._frameTimestamps.push(t);t=i._frameTimestamps.length?t-i._frameTimestamps[0]:0;i.find(".calibrator-refresh-rate-bar").css("width",Math.min(100,100*t/i.REFRESH_RATE_SAMPLING_DURATION_IN_MS)+"%"),t>=i.REFRESH_RATE_SAMPLING_DURATION_IN_MS?(i._refreshRateAnimation=null,i._refreshRate=i.computeRefreshRate(i._frameTimestamps),i.updateRefreshRateInformation()):i._refreshRateAnimation=window.requestAnimationFrame(e)}),this.updateRefreshRateInformation()}},{key:"stopRefreshRateMeasurement",value:function(){null!==this._refreshRateAnimation&&(window.cancelAnimationFrame(this._refreshRateAnimation),this._refreshRateAnimation=null)}},{key:"computeRefreshRate",value:function(e){if(e.length<3)return console.log("Calibrator.js: not enough frames to measure the refresh rate"),null;for(var t=[],i=1;i<e.length;i++)t.push(e[i]-e[i-1]);var n=_.sortBy(t,_.identity),s=Math.floor(n.length/2),a=n.length%2?n[s]:(n[s-1]+n[s])/2,r=_.reduce(t,function(e,t){return e+t},0)/t.length,n=_.reduce(t,function(e,t){return e+Math.pow(t-r,2)},0),s=_.reduce(t,function(e,t){return e+Math.max(0,Math.round(t/a)-1)},0);return{refreshRate:1e3/a,frameIntervalMean:r,frameIntervalSD:Math.sqrt(n/(t.length-1)),droppedFrames:s}}},{key:"updateRefreshRateInformation",value:function(){var e=this._refreshRate;this.find(".calibrator-refresh-rate-hz").html(e?e.refreshRate.toFixed(this.FLOAT_PRECISION):"-"),this.find(".calibrator-refresh-rate-sd").html(e?e.frameIntervalSD.toFixed(this.FLOAT_PRECISION):"-"),this.find(".calibrator-dropped-frames").html(e?e.droppedFrames:"-"),this.find(".calibrator-button[value='"+this.BUTTON_CONFIRM_REFRESH_RATE+"']").prop("disabled",null!==this._refreshRateAnimation)}},{key:"degToPx",value:function(e){return this.visualAngleConverter.degToPx(e,1<arguments.length&&void 0!==arguments[1]&&arguments[1])}},{key:"pxToDeg",value:function(e){return this.visualAngleConverter.pxToDeg(e,1<arguments.length&&void 0!==arguments[1]&&arguments[1])}},{key:"arcminToPx",value:function(e){return this.visualAngleConverter.arcminToPx(e,1<arguments.length&&void 0!==arguments[1]&&arguments[1])}},{key:"cmToPx",value:function(e){return this.visualAngleConverter.cmToPx(e,1<arguments.length&&void 0!==arguments[1]&&arguments[1])}},{key:"pxToCm",value:function(e){return this.visualAngleConverter.pxToCm(e,1<arguments.length&&void 0!==arguments[1]&&arguments[1])}},{key:"distanceForDegrees",value:function(e,t){return this.visualAngleConverter.distanceForDegrees(e,t,2<arguments.length&&void 0!==arguments[2]&&arguments[2])}},{key:"pixelsPerDegreeAt",value:function(e){return this.visualAngleConverter.pixelsPerDegreeAt(e,1<arguments.length&&void 0!==arguments[1]&&arguments[1])}},{key:"pixelsPerDegreeAtPosition",value:function(e,t){return this.visualAngleConverter.pixelsPerDegreeAtPosition(e,t,2<arguments.length&&void 0!==arguments[2]&&arguments[2])}},{key:"positionToAngle",value:function(e,t){return this.visualAngleConverter.positionToAngle(e,t,2<arguments.length&&void 0!==arguments[2]&&arguments[2])}},{key:"angleToPosition",value:function(e,t){return this.visualAngleConverter.angleToPosition(e,t,2<arguments.length&&void 0!==arguments[2]&&arguments[2])}},{key:"drawAtEccentricity",value:function(e,t,i,n){return this.visualAngleConverter.drawAtEccentricity(e,t,i,n,4<arguments.length&&void 0!==arguments[4]?arguments[4]:null,5<arguments.length&&void 0!==arguments[5]?arguments[5]:null,6<arguments.length&&void 0!==arguments[6]&&arguments[6])}},{key:"publishCssProperties",value:function(){var e;this.diagonalSize?((e=document.documentElement.style).setProperty(this.CSS_PROPERTIES.pixelsPerDegree,this.centralPixelsPerDegree+"px"),e.setProperty(this.CSS_PROPERTIES.pixelsPerCm,this.horizontalPixelsPerCm+"px"),e.setProperty(this.CSS_PROPERTIES.pixelsPerInch,2.54*this.horizontalPixelsPerCm+"px"),this._cssPropertiesPublished=!0,this.sizeElementsInDegrees(document,"."+this.SIZED_IN_DEGREES_CLASS)):console.log("Calibrator.js: the screen size is not calibrated, CSS properties are not published.")}},{key:"unpublishCssProperties",value:function(){var t;this._cssPropertiesPublished&&(t=document.documentElement.style,_.each(this.CSS_PROPERTIES,function(e){t.removeProperty(e)}),this._cssPropertiesPublished=!1,$("."+this.SIZED_IN_DEGREES_CLASS).css({width:"",height:""}).removeClass(this.SIZED_IN_DEGREES_CLASS))}},{key:"sizeElementsInDegrees",value:function(){var e=0<arguments.length&&void 0!==arguments[0]?arguments[0]:document,t=1<arguments.length&&void 0!==arguments[1]?arguments[1]:"",n=this;$(e).find("["+this.SIZE_IN_DEGREES_ATTRIBUTE+"]"+t).each(function(e,t){var i=$(t).attr(n.SIZE_IN_DEGREES_ATTRIBUTE);!$.isNumeric(i)||i<0||180<=i?console.log("Calibrator.js: invalid "+n.SIZE_IN_DEGREES_ATTRIBUTE+" value "+i+", the element is not sized."):(i=n.degToPx(parseFloat(i)),$(t).css({width:i+"px",height:i+"px"}).addClass(n.SIZED_IN_DEGREES_CLASS))})}},{key:"pixelsPerDegreeAtDistance",value:function(e){var e=2*Math.atan(this.screenWidthPx/this.horizontalPixelsPerCm/(2*e)),t=180/Math.PI;return this.screenWidthPx/(t*e)}},{key:"sizeFromRatio",get:function(){var e,t;return this.currentImage?(t=e=this.currentImageScaledWidthInPx/this.currentImagePhysicalWidthInInches,this.referenceObjects[this.currentImage].heightCm&&(t=this.currentImageScaledHeightInPx/(this.referenceObjects[this.currentImage].heightCm/2.54)),{diagonalSize:Math.sqrt(Math.pow(this.screenWidthPx/e,2)+Math.pow(this.screenHeightPx/t,2)),pixelAspectRatio:t/e}):null}},{key:"currentStepObject",get:function(){return this.getStep(this.currentStep)}},{key:"currentTitle",get:function(){return"Step "+(_.indexOf(this.guideLabels,this.currentStepObject.guide)+1)+": "+this.currentStepObject.title}},{key:"currentContent",get:function(){var e=this.currentStepObject,t=_.isFunction(e.variables)?e.variables.call(this,this):{};return this.templateManager.render(e.template,t)}},{key:"guideLabels",get:function(){var t=this;return _.uniq(_.map(this.stepOrder,function(e){return t.steps[e].guide}))}},{key:"guideHtml",get:function(){var i=100/this.guideLabels.length+"%";return _.map(this.guideLabels,function(e,t){return'<div class="calibrator-guide-step" style="width: '+i+';">Step '+(t+1)+": "+_.escape(e)+"</div>"}).join("")}},{key:"diagonalSize",set:function(e){var t=this._diagonalSize;null===e?this._diagonalSize=null:(e=Number(e),this.isValidDiagonalSize(e)?this._diagonalSize=e:console.log("Calibrator.js: Invalid diagonal size")),this._diagonalSize!==t&&this.emit("sizechange",{diagonalSize:this._diagonalSize,previousDiagonalSize:t})},get:function(){return this._diagonalSize||null}},{key:"distanceFromScreen",set:function(e){this._distanceFromScreen=e,this._cssPropertiesPublished&&this.publishCssProperties()},get:function(){return this._distanceFromScreen}},{key:"diagonalSizeInCm",get:function(){return this.diagonalSize?2.54*this.diagonalSize:null}},{key:"screenWidthPx",get:function(){return screen.width}},{key:"screenHeightPx",get:function(){return screen.height}},{key:"availWidthPx",get:function(){return screen.availWidth}},{key:"availHeightPx",get:function(){return screen.availHeight}},{key:"diagonalSizeInPx",get:function(){return Math.sqrt(Math.pow(this.screenWidthPx,2)+Math.pow(this.screenHeightPx,2))}},{key:"pixelsPerInch",get:function(){return this.diagonalSize?this.diagonalSizeInPx/this.diagonalSize:null}},{key:"pixelsPerCm",get:function(){return this.diagonalSize?this.pixelsPerInch/2.54:null}},{key:"horizontalPixelsPerCm",get:function(){return this.diagonalSize?Math.sqrt(Math.pow(this.screenWidthPx,2)+Math.pow(this.screenHeightPx/this.pixelAspectRatio,2))/this.diagonalSizeInCm:null}},{key:"verticalPixelsPerCm",get:function(){return this.diagonalSize?this.horizontalPixelsPerCm*this.pixelAspectRatio:null}},{key:"pixelAspectRatio",get:function(){return this._pixelAspectRatio}},{key:"hasAnisotropicPixels",get:function(){return Math.abs(this.pixelAspectRatio-1)>this.options.anisotropyThreshold}},{key:"pixelsPerDegree",get:function(){return this.diagonalSize?this.pixelsPerDegreeAtDistance(this.distanceFromScreen):null}},{key:"mmPerPixel",get:function(){return this.diagonalSize?10/this.horizontalPixelsPerCm:null}},{key:"arcminPerPixel",get:function(){return this.diagonalSize?60*this.visualAngleConverter.pxToDeg(1):null}},{key:"screenWidthCm",get:function(){return this.diagonalSize?this.screenWidthPx/this.horizontalPixelsPerCm:null}},{key:"screenHeightCm",get:function(){return this.diagonalSize?this.screenHeightPx/this.verticalPixelsPerCm:null}},{key:"aspectRatio",get:function(){return this.diagonalSize?this.screenWidthCm/this.screenHeightCm:null}},{key:"screenWidthDeg",get:function(){return this.diagonalSize?this.visualAngleConverter.cmToDeg(this.screenWidthCm):null}},{key:"screenHeightDeg",get:function(){return this.diagonalSize?this.visualAngleConverter.cmToDeg(this.screenHeightCm):null}},{key:"viewportWidthDeg",get:function(){return this.diagonalSize?this.visualAngleConverter.cmToDeg(window.innerWidth/this.horizontalPixelsPerCm):null}},{key:"viewportHeightDeg",get:function(){return this.diagonalSize?this.visualAngleConverter.cmToDeg(window.innerHeight/this.verticalPixelsPerCm):null}},{key:"visualAngleConverter",get:function(){return this.diagonalSize||this.raiseError("the calibration is incomplete, the screen size is needed to convert visual angles."),new VisualAngleConverter({pixelsPerInch:this.pixelsPerInch,horizontalPixelsPerCm:this.horizontalPixelsPerCm,verticalPixelsPerCm:this.verticalPixelsPerCm,distanceFromScreenInCm:this.distanceFromScreen,devicePixelRatio:this.devicePixelRatio})}},{key:"centralPixelsPerDegree",get:function(){return this.diagonalSize?this.pixelsPerDegreeAt(0):null}},{key:"devicePixelRatio",get:function(){return window.devicePixelRatio||1}},{key:"diagonalSizeInDevicePx",get:function(){return this.diagonalSizeInPx*this.devicePixelRatio}},{key:"devicePixelsPerInch",get:function(){return this.diagonalSize?this.pixelsPerInch*this.devicePixelRatio:null}},{key:"devicePixelsPerCm",get:function(){return this.diagonalSize?this.pixelsPerCm*this.devicePixelRatio:null}},{key:"devicePixelsPerDegree",get:function(){return this.diagonalSize?this.pixelsPerDegree*this.devicePixelRatio:null}},{key:"centralDevicePixelsPerDegree",get:function(){return this.diagonalSize?this.centralPixelsPerDegree*this.devicePixelRatio:null}},{key:"displaySnapshot",get:function(){return{devicePixelRatio:this.devicePixelRatio,screenWidthPx:this.screenWidthPx,screenHeightPx:this.screenHeightPx,orientation:screen.orientation&&screen.orientation.type||(this.screenWidthPx>=this.screenHeightPx?"landscape":"portrait")}}},{key:"displayFingerprint",get:function(){return{screenWidthPx:this.screenWidthPx,screenHeightPx:this.screenHeightPx,devicePixelRatio:this.devicePixelRatio,colorDepth:screen.colorDepth,userAgent:navigator.userAgent}}},{key:"storageKey",get:function(){for(var e=JSON.stringify(this.displayFingerprint),t=5381,i=0;i<e.length;i++)t=(t<<5)+t+e.charCodeAt(i)|0;return this.STORAGE_KEY_PREFIX+(t>>>0).toString(16)}},{key:"blindSpotFixationX",get:function(){return this.find(".calibrator-canvas").length?this.find(".calibrator-canvas")[0].width-2*this.horizontalPixelsPerCm:null}},{key:"blindSpotDistance",get:function(){return this._blindSpotTrials.length?_.reduce(this._blindSpotTrials,function(e,t){return e+t},0)/this._blindSpotTrials.length/Math.tan(this.BLINDSPOT_ANGLE_IN_DEGREES*Math.PI/180):null}},{key:"brightnessLevels",get:function(){for(var t=[],e=0;e<this.options.numberOfContrasts;e++)t.push(Math.round(e*(255/(this.options.numberOfContrasts-1))));return _.each(this.BRIGHTNESS_NEAR_BLACK_PERCENTS.concat(this.BRIGHTNESS_NEAR_WHITE_PERCENTS),function(e){t.push(Math.round(255*e/100))}),_.sortBy(_.uniq(t),_.identity)}},{key:"brightnessBoxesBounds",get:function(){var e=this.find(".calibrator-canvas")[0],t=this.brightnessLevels.length,i=Math.min(this.BRIGHTNESS_BOX_SIZE_IN_PX[0],Math.floor((e.width-20)/t)),n=this.BRIGHTNESS_BOX_SIZE_IN_PX[1];return{x:Math.round((e.width-i*t)/2),y:Math.round((e.height-n)/2),boxWidth:i,boxHeight:n}}},{key:"gamma",get:function(){return this._gamma}},{key:"inverseGammaLUT",get:function(){for(var e=[],t=0;t<256;t++)e.push(this.linearizeGray(t));return e}},{key:"objectSizeMean",get:function(){return this._objectSizeTrials.length?_.reduce(this._objectSizeTrials,function(e,t){return e+t.diagonalSize},0)/this._objectSizeTrials.length:null}},{key:"objectSizeSD",get:function(){var i,e;return 1<this._objectSizeTrials.length?(i=this.objectSizeMean,e=_.reduce(this._objectSizeTrials,function(e,t){return e+Math.pow(t.diagonalSize-i,2)},0),Math.sqrt(e/(this._objectSizeTrials.length-1))):this._objectSizeTrials.length?0:null}},{key:"objectSizeRelativeSD",get:function(){return this._objectSizeTrials.length?this.objectSizeSD/this.objectSizeMean:null}},{key:"isFullscreen",get:function(){return Boolean(document.fullscreenElement||document.webkitFullscreenElement)}},{key:"isShown",get:function(){return Boolean(this.container)&&"none"!=$(this.container).css("display")}},{key:"currentMaxPixelsPerCm",get:function(){return this._maxPixelsPerCm||this.referenceObjects[this.currentImage].maxPixelsPerCm||this.REFERENCE_MAX_PIXELS_PER_CM}},{key:"isAdjustingSize",get:function(){return this.currentStep==this.STEP_SCREENSIZE_ENTER_OBJECTSIZE||this.currentStep==this.STEP_SCREENSIZE_RULER}},{key:"referenceImageBounds",get:function(){var e=this.find(".calibrator-canvas")[0],t=this.currentImageScaledWidthInPx,i=this.currentImageScaledHeightInPx;return{x:this.currentStep==this.STEP_SCREENSIZE_RULER?this.RULER_MARGIN_IN_PX:(e.width-t)/2,y:(e.height-i)/2,width:t,height:i}}},{key:"handlePositions",get:function(){var e=this.referenceImageBounds,t={width:{x:e.x+e.width,y:e.y+e.height/2}};return this.referenceObjects[this.currentImage].heightCm&&(t.height={x:e.x+e.width/2,y:e.y+e.height}),t}},{key:"imageRatio",set:function(e){var t,i;0<=e&&e<=1&&(i=e,(t=this.referenceObjects[this._currentImage])&&t.heightCm&&0<this._imageRatio&&1<(i=this._imageHeightRatio*e/this._imageRatio)&&(e/=i,i=1),this._imageRatio=e,this._imageHeightRatio=i,this.setDiagonalSizeFromRatio(),this.drawImage())},get:function(){return this._imageRatio}},{key:"imageHeightRatio",set:function(e){0<=e&&e<=1&&(this._imageHeightRatio=e,this.setDiagonalSizeFromRatio(),this.drawImage())},get:function(){return this._imageHeightRatio}},{key:"currentImage",set:function(e){_.has(this.referenceObjects,e)&&(this._currentImage=e,this.updateCanvasHeight(),this.drawImage())},get:function(){return this._currentImage||(console.log("Calibrator.js: currentImage is not set."),null)}},{key:"currentImagePhysicalWidthInCm",get:function(){return this.currentImage?this.referenceObjects[this.currentImage].widthCm:null}},{key:"currentImagePhysicalWidthInInches",get:function(){return this.currentImage?this.referenceObjects[this.currentImage].widthCm/2.54:null}},{key:"currentImageScaledHeightInPx",get:function(){var e;return this.currentImage?(e=this.referenceObjects[this.currentImage]).heightCm?e.heightCm*this.currentMaxPixelsPerCm*this.imageHeightRatio:this.REFERENCE_BAR_HEIGHT_IN_PX:null}},{key:"currentImageScaledWidthInPx",get:function(){return this.currentImage?this.referenceObjects[this.currentImage].widthCm*this.currentMaxPixelsPerCm*this.imageRatio:null}}],[{key:"run",value:function(){return new s(null,!1,0<arguments.length&&void 0!==arguments[0]?arguments[0]:{}).start()}}]),s})()),VisualAngleConverter=(()=>{function t(){var e=0<arguments.length&&void 0!==arguments[0]?arguments[0]:mandatory("result");if(_classCallCheck(this,t),!$.isNumeric(e.pixelsPerInch)||e.pixelsPerInch<=0)throw new Error("Calibrator.js: the calibration is incomplete, pixelsPerInch is missing. Was the screen size calibrated ?");if(!$.isNumeric(e.distanceFromScreenInCm)||e.distanceFromScreenInCm<=0)throw new Error("Calibrator.js: the calibration is incomplete, distanceFromScreenInCm is missing. Was the viewing distance calibrated ?");this.pixelsPerCm=$.isNumeric(e.horizontalPixelsPerCm)&&0<e.horizontalPixelsPerCm?e.horizontalPixelsPerCm:e.pixelsPerInch/2.54,this.verticalPixelsPerCm=$.isNumeric(e.verticalPixelsPerCm)&&0<e.verticalPixelsPerCm?e.verticalPixelsPerCm:this.pixelsPerCm,this.distanceFromScreenInCm=e.distanceFromScreenInCm,this.devicePixelRatio=$.isNumeric(e.devicePixelRatio)?e.devicePixelRatio:1}return _createClass(t,[{key:"degToPx",value:function(e){var t=1<arguments.length&&void 0!==arguments[1]&&arguments[1];return this.checkAngle(e,"degToPx"),this.cmToPx(this.degToCm(e),t)}},{key:"pxToDeg",value:function(e){var t=1<arguments.length&&void 0!==arguments[1]&&arguments[1];return this.checkNumber(e,"pxToDeg","pixels"),this.cmToDeg(this.pxToCm(e,t))}},{key:"arcminToPx",value:function(e){var t=1<arguments.length&&void 0!==arguments[1]&&arguments[1];return this.checkAngle(e/60,"arcminToPx"),this.degToPx(e/60,t)}},{key:"cmToPx",value:function(e){var t=1<arguments.length&&void 0!==arguments[1]&&arguments[1];return this.checkNumber(e,"cmToPx","cm"),e*this.pixelsPerCm*(t?this.devicePixelRatio:1)}},{key:"pxToCm",value:function(e){var t=1<arguments.length&&void 0!==arguments[1]&&arguments[1];return this.checkNumber(e,"pxToCm","pixels"),e/(this.pixelsPerCm*(t?this.devicePixelRatio:1))}},{key:"degToCm",value:function(e){return this.checkAngle(e,"degToCm"),2*this.distanceFromScreenInCm*Math.tan(e*Math.PI/360)}},{key:"cmToDeg",value:function(e){return this.checkNumber(e,"cmToDeg","cm"),2*Math.atan(e/(2*this.distanceFromScreenInCm))*180/Math.PI}},{key:"distanceForDegrees",value:function(e,t){var i=2<arguments.length&&void 0!==arguments[2]&&arguments[2];if(this.checkAngle(e,"distanceForDegrees"),0===e)throw new Error("Calibrator.js: distanceForDegrees() expects an angle above 0 degrees.");return this.pxToCm(t,i)/(2*Math.tan(e*Math.PI/360))}},{key:"pixelsPerDegreeAt",value:function(e){var t=1<arguments.length&&void 0!==arguments[1]&&arguments[1],e=(this.checkEccentricity(e,"pixelsPerDegreeAt"),this.distanceFromScreenInCm*(Math.PI/180)/Math.pow(Math.cos(e*Math.PI/180),2));return this.cmToPx(e,t)}},{key:"pixelsPerDegreeAtPosition",value:function(e,t){var i=2<arguments.length&&void 0!==arguments[2]&&arguments[2];return this.pixelsPerDegreeAt(this.positionToAngle(e,t,i).eccentricity,i)}},{key:"positionToAngle",value:function(e,t){var i=2<arguments.length&&void 0!==arguments[2]&&arguments[2],e=(this.checkFinite(e,"positionToAngle","x"),this.checkFinite(t,"positionToAngle","y"),e/(this.pixelsPerCm*(i?this.devicePixelRatio:1))),t=-t/(this.verticalPixelsPerCm*(i?this.devicePixelRatio:1)),i=180/Math.PI;return{x:Math.atan(e/this.distanceFromScreenInCm)*i,y:Math.atan(t/this.distanceFromScreenInCm)*i,eccentricity:Math.atan(Math.sqrt(e*e+t*t)/this.distanceFromScreenInCm)*i,polarAngle:Math.atan2(t,e)*i}}},{key:"angleToPosition",value:function(e,t){var i=2<arguments.length&&void 0!==arguments[2]&&arguments[2],e=(this.checkEccentricity(e,"angleToPosition"),this.checkFinite(t,"angleToPosition","polarAngle"),this.distanceFromScreenInCm*Math.tan(e*Math.PI/180)),i=i?this.devicePixelRatio:1;return{x:e*Math.cos(t*Math.PI/180)*this.pixelsPerCm*i,y:-e*Math.sin(t*Math.PI/180)*this.verticalPixelsPerCm*i}}},{key:"stimulusAtEccentricity",value:function(e,t,i){var n=3<arguments.length&&void 0!==arguments[3]&&arguments[3],i=(this.checkEccentricity(e,"stimulusAtEccentricity"),this.checkFinite(t,"stimulusAtEccentricity","polarAngle"),this.checkAngle(i,"stimulusAtEccentricity"),i*Math.PI/360),e=e*Math.PI/180;if(Math.PI/2<=e+i)throw new Error("Calibrator.js: stimulusAtEccentricity() expects the stimulus to end before 90 degrees of eccentricity.");var s=this.distanceFromScreenInCm*Math.tan(e-i),e=this.distanceFromScreenInCm*Math.tan(e+i),a=(e+s)/2,e=e-s,s=2*Math.sqrt(Math.pow(this.distanceFromScreenInCm,2)+Math.pow(a,2))*Math.tan(i),i=n?this.devicePixelRatio:1;return{x:a*Math.cos(t*Math.PI/180)*this.pixelsPerCm*i,y:-a*Math.sin(t*Math.PI/180)*this.verticalPixelsPerCm*i,radialSize:this.cmToPx(e,n),tangentialSize:this.cmToPx(s,n),rotation:-t*Math.PI/180}}},{key:"drawAtEccentricity",value:function(e,t,i,n){var s=4<arguments.length&&void 0!==arguments[4]?arguments[4]:null,a=5<arguments.length&&void 0!==arguments[5]?arguments[5]:null,t=this.stimulusAtEccentricity(t,i,n,6<arguments.length&&void 0!==arguments[6]&&arguments[6]),a=a||{x:e.canvas.width/2,y:e.canvas.height/2};return e.save(),e.translate(a.x+t.x,a.y+t.y),e.rotate(t.rotation),s?s(e,t):(e.beginPath(),e.ellipse(0,0,t.radialSize/2,t.tangentialSize/2,0,0,2*Math.PI),e.fill()),e.restore(),t}},{key:"checkNumber",value:function(e,t,i){if(!$.isNumeric(e)||e<0)throw new Error("Calibrator.js: "+t+"() expects "+i+" to be a positive number, got "+e+".")}},{key:"checkAngle",value:function(e,t){if(!$.isNumeric(e)||e<0||180<=e)throw new Error("Calibrator.js: "+t+"() expects an angle from 0 to 180 degrees excluded, got "+e+".")}},{key:"checkFinite",value:function(e,t,i){if(!$.isNumeric(e)||!isFinite(e))throw new Error("Calibrator.js: "+t+"() expects "+i+" to be a number, got "+e+".")}},{key:"checkEccentricity",value:function(e,t){if(!$.isNumeric(e)||e<0||90<=e)throw new Error("Calibrator.js: "+t+"() expects an eccentricity from 0 to 90 degrees excluded, got "+e+".")}}]),t})(),TemplateManager=(()=>{function s(){var e=0<arguments.length&&void 0!==arguments[0]?arguments[0]:mandatory(),t=1<arguments.length&&void 0!==arguments[1]?arguments[1]:null,i=2<arguments.length&&void 0!==arguments[2]?arguments[2]:null,n=(_classCallCheck(this,s),_.templateSettings.interpolate=/\{\{(.+?)\}\}/g,this.viewPaths=e,this.cached={},this.callbackWhenLoaded=t||function(){console.log("TemplateManager.js: all templates loaded.")},this.callbackWhenFailed=i||function(e,t){console.log("TemplateManager.js: could not load template "+e+" from "+t)},this.allLoaded=!1,this.pendingRequests=[],this.cancelled=!1,this);_.each(this.viewPaths,function(e,t,i){n.load(t)})}return _createClass(s,[{key:"add",value:function(e,t){this.viewPaths[e]=t,this.load(e)}},{key:"load",value:function(t){var i=this;this.track($.get(this.urlFor(t),function(e){i.store(t,e),!i.allLoaded&&_.every(_.keys(i.viewPaths),function(e){return _.has(i.cached,e)})&&(i.allLoaded=!0,i.callbackWhenLoaded())}).fail(function(){i.cancelled||i.callbackWhenFailed(t,i.urlFor(t))}))}},{key:"render",value:function(t){var i=1<arguments.length&&void 0!==arguments[1]?arguments[1]:{},n=this;if(this.isCached(t))return this.cached[t](i);this.track($.get(this.urlFor(t),function(e){n.store(t,e),n.render(t,i)}))}},{key:"renderInTarget",value:function(t,i,n){var s=this;this.isCached(t)?$(n).append(this.cached[t](i)):this.track($.get(this.urlFor(t),function(e){s.store(t,e),s.renderInTarget(t,i,n)}))}},{key:"renderSync",value:function(e){this.isCached(e)||this.fetch(e),this.render(e)}},{key:"prefetch",value:function(t){var i=this;this.track($.get(this.urlFor(t),function(e){i.store(t,e)}))}},{key:"fetch",value:function(e){var t;this.isCached(e)||(t=$.ajax({url:this.urlFor(e),async:!1}).responseText,this.store(e,t))}},{key:"isCached",value:function(e){return!!this.cached[e]}},{key:"store",value:function(e,t){this.cached[e]=_.template(t)}},{key:"track",value:function(e){var t=this;return this.pendingRequests.push(e),e.always(function(){t.pendingRequests=_.without(t.pendingRequests,e)}),e}},{key:"cancel",value:function(){this.cancelled=!0,_.each(this.pendingRequests,function(e){e.abort()}),this.pendingRequests=[]}},{key:"urlFor",value:function(e){return this.viewPaths[e]}}]),s})();function mandatory(){throw new Error("Missing parameter "+(0<arguments.length&&void 0!==arguments[0]?arguments[0]:""))}function findAllIndices(){for(var e=0<arguments.length&&void 0!==arguments[0]?arguments[0]:mandatory(),t=1<arguments.length&&void 0!==arguments[1]?arguments[1]:mandatory(),i=[],n=0;n<t.length;n++)t.substr(n,e.length)===e&&i.push(n);return i.length?i:-1}
\ No newline at end of file
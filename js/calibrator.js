@@ -38,9 +38,10 @@ class Calibrator {
    * @param  {function}  callbackWhenClosed function to call when the calibrator is dismissed. 
    * An object containing relevant calibration information is passed as argument.
    * @param  {Boolean} showWhenReady      If true, the calibrator is displayed after templates are loaded.
+   * @param  {Object}  options            Optional settings, see calibrator.options for the keys and their defaults.
    * @return {Calibrator}                   
    */
-  constructor(callbackWhenClosed = null, showWhenReady = true) {
+  constructor(callbackWhenClosed = null, showWhenReady = true, options = {}) {
     /**
      * Check if the full path is known
      */
@@ -58,6 +59,83 @@ class Calibrator {
       throw new Error("Calibrator.js: Underscore.js is needed for templating.");
     }
 
+    /**
+     * Settings of the calibrator, supplied options completed with defaults
+     *   * persistCalibration
+     *     + if true, the final calibration is saved in localStorage for this display and offered again on the next construction
+     *   * persistenceExpiryInDays
+     *     + number of days after which a saved calibration is no longer offered
+     *   * monitorAfterCalibration
+     *     + if true, zoom, screen resolution and orientation changes after a completed calibration trigger an "invalidated" event
+     *   * reopenWhenInvalidated
+     *     + if true, the calibrator goes back to the first step and shows itself when the calibration is invalidated
+     *   * anisotropyThreshold
+     *     + relative difference between the vertical and horizontal pixel densities above which pixels are flagged as non-square
+     *   * objectSizeTrials
+     *     + number of adjustments of the reference object or ruler, each starting from a random size
+     *   * objectSizeTolerance
+     *     + relative standard deviation of the adjusted diagonal sizes above which another adjustment is asked
+     *   * objectSizeMaxTrials
+     *     + maximum number of adjustments when the tolerance is not met
+     *   * numberOfContrasts
+     *     + number of evenly spaced gray shades, from black to white, in the brightness step, at least 2
+     *   * showRefreshRate
+     *     + if true, the measured refresh rate is shown on the summary
+     *   * requireFullscreen
+     *     + if true, the calibrator asks for fullscreen before the first step, and pauses when the participant leaves fullscreen or hides the tab
+     *   * keepScreenAwake
+     *     + if true, a screen wake lock keeps the display on while the calibrator is shown, and hiding the tab pauses the calibration
+     *   * publishCssProperties
+     *     + if true, the pixel densities are written as CSS custom properties on :root after the calibration and kept updated
+     *   * container
+     *     + element or selector in which the calibrator is mounted, null to float it above the page body
+     * @type {Object}
+     * @public
+     */
+    this.options = _.defaults({}, options, {
+      persistCalibration: false,
+      persistenceExpiryInDays: 30,
+      monitorAfterCalibration: true,
+      reopenWhenInvalidated: false,
+      anisotropyThreshold: 0.03,
+      objectSizeTrials: 1,
+      objectSizeTolerance: 0.05,
+      objectSizeMaxTrials: 5,
+      numberOfContrasts: 12,
+      showRefreshRate: true,
+      requireFullscreen: false,
+      keepScreenAwake: false,
+      publishCssProperties: true,
+      container: null
+    });
+
+    /** Black and white are the least shades needed to space the boxes of the brightness step */
+    if ((!Number.isInteger(this.options.numberOfContrasts)) || (this.options.numberOfContrasts < 2)) {
+      console.log("Calibrator.js: numberOfContrasts must be an integer of at least 2, got " + this.options.numberOfContrasts + ". 12 shades are used.");
+      this.options.numberOfContrasts = 12;
+    }
+
+    /**
+     * Number of calibrators constructed on the page
+     * @type {Number}
+     */
+    Calibrator.instanceCount = (Calibrator.instanceCount || 0) + 1;
+
+    /**
+     * jQuery namespace of the document and window events of this calibrator, so that several calibrators on a page
+     * do not remove each other's handlers
+     * @type {string}
+     * @private
+     */
+    this.eventNamespace = ".calibrator" + Calibrator.instanceCount;
+
+    /**
+     * Root element of this calibrator in the DOM, every DOM query of the calibrator is scoped to it. Set when templates are loaded.
+     * @type {object}
+     * @private
+     */
+    this.root = null;
+
     /**
      * Object containing the file path of all the views
      * @type {Object}
@@ -70,6 +148,12 @@ class Calibrator {
       enterknownsize: this.calibratorFullpath + "/views/calibrator-s1-enterknownsize.template",
       chooseobject: this.calibratorFullpath + "/views/calibrator-s1-chooseobject.template",
       specifystandardsize: this.calibratorFullpath + "/views/calibrator-s1-specifystandardsize.template",
+      ruler: this.calibratorFullpath + "/views/calibrator-s1-ruler.template",
+      choosedistance: this.calibratorFullpath + "/views/calibrator-distance-choosemethod.template",
+      enterdistance: this.calibratorFullpath + "/views/calibrator-distance-enterdistance.template",
+      blindspot: this.calibratorFullpath + "/views/calibrator-distance-blindspot.template",
+      gamma: this.calibratorFullpath + "/views/calibrator-brightness-gamma.template",
+      refreshrate: this.calibratorFullpath + "/views/calibrator-display-refreshrate.template",
       setbrightness: this.calibratorFullpath + "/views/calibrator-s2-content.template",
       summary: this.calibratorFullpath + "/views/calibrator-s3-content.template"
     };
@@ -77,6 +161,17 @@ class Calibrator {
     var thisObject = this;
     this.templateManager = new TemplateManager(this.VIEWS_PATHS, function () {
       thisObject.templatesAreLoaded();
+    }, function (name, url) {
+      var error = new Error("Calibrator.js: could not load the " + name + " template from " + url);
+      thisObject._templateError = error;
+      thisObject.emit("error", error);
+
+      /** The calibrator can not be shown, calibrator.start() must not wait forever */
+      if (thisObject._pendingRun) {
+        var pendingRun = thisObject._pendingRun;
+        thisObject._pendingRun = null;
+        pendingRun.reject(error);
+      }
     });
 
     /**
@@ -86,25 +181,144 @@ class Calibrator {
      */
     this.IMAGE_KEY_CREDITCARD = "creditCard";
     this.IMAGE_KEY_CD = "cd";
+    this.IMAGE_KEY_RULER = "ruler";
+
+    /**
+     * Fallback maximum density, in px per cm, at which a reference object is drawn (slider at its maximum) when the canvas size is unknown
+     * @type {Number}
+     * @const
+     * @private
+     */
+    this.REFERENCE_MAX_PIXELS_PER_CM = 60;
+
+    /**
+     * Height in px of reference objects drawn as a segment (paper edge, ruler)
+     * @type {Number}
+     * @const
+     * @private
+     */
+    this.REFERENCE_BAR_HEIGHT_IN_PX = 40;
+
+    /**
+     * Left margin in px of the on-screen ruler, its origin stays fixed while it is stretched
+     * @type {Number}
+     * @const
+     * @private
+     */
+    this.RULER_MARGIN_IN_PX = 20;
+
+    /**
+     * Fraction of the viewport height the canvas of a reference object can fill, with the slider at its maximum.
+     * On phones a credit card is larger than half the screen. The rest of the viewport is left to scroll the page,
+     * touches on the canvas adjust the object instead.
+     * @type {Number}
+     * @const
+     * @private
+     */
+    this.REFERENCE_MAX_VIEWPORT_HEIGHT_FRACTION = 0.8;
+
+    /**
+     * Height in px added to the reference object in its canvas, for the drag handles
+     * @type {Number}
+     * @const
+     * @private
+     */
+    this.REFERENCE_CANVAS_MARGIN_IN_PX = 50;
+
+    /**
+     * Range of the random image ratio each size adjustment starts from, so the slider position does not anchor the responses
+     * @type {Array}
+     * @const
+     * @private
+     */
+    this.OBJECT_SIZE_START_RATIO_RANGE = [0.2, 0.9];
+
+    /**
+     * Size in px of the drag handles drawn on the reference image
+     * @type {Number}
+     * @const
+     * @private
+     */
+    this.HANDLE_SIZE_IN_PX = 12;
 
     /**
-     * Images object with [path, [width, height], real width in cm, maxScaling]
+     * Size change in px of the reference image for a fine and a coarse (Shift key) adjustment step
+     * @type {Array}
+     * @const
+     * @private
+     */
+    this.ADJUSTMENT_STEPS_IN_PX = [0.5, 10];
+
+    /**
+     * Reference objects of standard size offered to estimate the screen size, by key. See calibrator.addReferenceObject()
      * @type {Object}
+     * @private
+     */
+    this.referenceObjects = {};
+
+    /**
+     * Default distance of the subject from the screen in cm (arm length)
+     * @type {Number}
      * @const
      * @private
      */
-    this.IMAGES = {
-      [this.IMAGE_KEY_CREDITCARD]: [this.calibratorFullpath + "/img/card.png", [384, 242], 8.6, 1.2],
-      [this.IMAGE_KEY_CD]: [this.calibratorFullpath + "/img/cd.png", [596, 596], 12, 1.2]
-    };
+    this.DEFAULT_DISTANCE_FROM_SCREEN_IN_CM = 50;
 
     /**
-     * Distance of the subject from the screen in cm, default to 50 cm (arm length)
+     * Private variable holding the distance of the subject from the screen in cm, see calibrator.distanceFromScreen
      * @type {Number}
+     * @private
+     */
+    this._distanceFromScreen = this.DEFAULT_DISTANCE_FROM_SCREEN_IN_CM;
+
+    /**
+     * Possible origins of calibrator.distanceFromScreen, reported in the callback output
      * @const
-     * @public
+     * @private
+     */
+    this.DISTANCE_SOURCE_DEFAULT = "default";
+    this.DISTANCE_SOURCE_MEASURED = "measured";
+    this.DISTANCE_SOURCE_ENTERED = "entered";
+
+    /**
+     * Range of accepted viewing distances in cm
+     * @type {Array}
+     * @const
+     * @private
+     */
+    this.DISTANCE_VALID_RANGE_IN_CM = [10, 300];
+
+    /**
+     * Range of accepted screen diagonals in inches, bounds excluded
+     * @type {Array}
+     * @const
+     * @private
+     */
+    this.DIAGONAL_VALID_RANGE_IN_INCHES = [0, 60];
+
+    /**
+     * Angular distance in degrees between the fixation point and the centre of the blind spot
+     * @type {Number}
+     * @const
+     * @private
+     */
+    this.BLINDSPOT_ANGLE_IN_DEGREES = 13.5;
+
+    /**
+     * Number of blind spot trials averaged to estimate the distance from the screen
+     * @type {Number}
+     * @const
+     * @private
+     */
+    this.BLINDSPOT_NUMBER_OF_TRIALS = 5;
+
+    /**
+     * Speed of the moving dot during the blind spot measurement in cm per second
+     * @type {Number}
+     * @const
+     * @private
      */
-    this.distanceFromScreen = 50;
+    this.BLINDSPOT_DOT_SPEED_IN_CM_PER_SECOND = 3;
 
     /**
      * Heigth of the canvas in pixels
@@ -114,12 +328,53 @@ class Calibrator {
     this.canvasHeight = 400;
 
     /**
-     * Number of different gray shades for the brightness calibration 
+     * Extra gray shades of the brightness step, in percent of white, to detect crushed blacks and clipped whites
+     * @type {Array}
+     * @const
+     * @private
+     */
+    this.BRIGHTNESS_NEAR_BLACK_PERCENTS = [1, 2, 3, 4, 5];
+    this.BRIGHTNESS_NEAR_WHITE_PERCENTS = [95, 96, 97, 98, 99];
+
+    /**
+     * Size in px of the gray boxes of the brightness step
+     * @type {Array}
+     * @const
+     * @private
+     */
+    this.BRIGHTNESS_BOX_SIZE_IN_PX = [40, 150];
+
+    /**
+     * Luminances, as a fraction of white, of the striped black and white patterns matched to a solid gray in the gamma step
+     * @type {Array}
+     * @const
+     * @private
+     */
+    this.GAMMA_LUMINANCE_LEVELS = [0.25, 0.5, 0.75];
+
+    /**
+     * Display gamma assumed by calibrator.linearizeGray() until it is measured (sRGB)
+     * @type {Number}
+     * @const
+     * @private
+     */
+    this.DEFAULT_GAMMA = 2.2;
+
+    /**
+     * Duration in ms during which requestAnimationFrame timestamps are sampled to measure the refresh rate
+     * @type {Number}
+     * @const
+     * @private
+     */
+    this.REFRESH_RATE_SAMPLING_DURATION_IN_MS = 3000;
+
+    /**
+     * Number of first frames ignored in the refresh rate measurement, while the browser settles after the step is displayed
      * @type {Number}
      * @const
      * @private
      */
-    this.BRIGHTNESS_NUMBER_OF_CONTRASTS = 12;
+    this.REFRESH_RATE_WARMUP_FRAMES = 10;
 
     /**
      * Object storing the cached image to draw on the canvas
@@ -128,39 +383,81 @@ class Calibrator {
      */
     this.cachedImages = {};
 
-    /** Preload images */
-    this.preloadImages();
+    /** Register the reference objects, their images are preloaded */
+    this.registerDefaultReferenceObjects();
 
     /** 
-     * Steps constants 
+     * Steps constants. Titles and guide labels are numbered when displayed ("Step 1: ...") from the order of the guide labels.
      * @const
      * @private
      */
-    this.STEP_TITLES = ["Step 1: Screen size calibration", "Step 2: Contrast and brightness", "Step 3: Summary"];
-
-    this.STEP_SCREENSIZE_ASK_IFKNOWS = 0;
-    this.STEP_SCREENSIZE_ENTER_KNOWNSIZE = 1;
-    this.STEP_SCREENSIZE_CHOOSE_OBJECT = 2;
-    this.STEP_SCREENSIZE_ENTER_OBJECTSIZE = 3;
-    this.STEP_BRIGHTNESS = 4;
-    this.STEP_SUMMARY = 5;
+    this.STEP_TITLES = ["Screen size calibration", "Viewing distance", "Contrast and brightness", "Display refresh rate", "Summary"];
+    this.STEP_GUIDES = ["Resolution", "Distance", "Brightness", "Refresh rate", "Summary"];
+
+    this.STEP_SCREENSIZE_ASK_IFKNOWS = "screensize:askIfKnows";
+    this.STEP_SCREENSIZE_ENTER_KNOWNSIZE = "screensize:enterKnownSize";
+    this.STEP_SCREENSIZE_CHOOSE_OBJECT = "screensize:chooseObject";
+    this.STEP_SCREENSIZE_ENTER_OBJECTSIZE = "screensize:enterObjectSize";
+    this.STEP_SCREENSIZE_RULER = "screensize:ruler";
+    this.STEP_DISTANCE_CHOOSE_METHOD = "distance:chooseMethod";
+    this.STEP_DISTANCE_ENTER_DISTANCE = "distance:enterDistance";
+    this.STEP_DISTANCE_BLINDSPOT = "distance:blindSpot";
+    this.STEP_BRIGHTNESS = "brightness";
+    this.STEP_GAMMA = "brightness:gamma";
+    this.STEP_REFRESH_RATE = "refreshRate";
+    this.STEP_SUMMARY = "summary";
 
     /**
      * Buttons value attributes
      * @const
      * @private
      */
+    this.BUTTON_USE_PREVIOUS = "s1:usePrevious";
+    this.BUTTON_RECALIBRATE = "s1:recalibrate";
     this.BUTTON_SIZEKNOWN = "s1:sizeKnown";
     this.BUTTON_SIZEUNKNOWN = "s1:sizeUnknown";
+    this.BUTTON_USE_RULER = "s1:useRuler";
     this.BUTTON_CONFIRM_MANUALSIZE = "s1:confirmManualSize";
-    this.BUTTON_CHOOSE_CREDITCARD = "s1:chooseCreditCard";
-    this.BUTTON_CHOOSE_COMPACTDISK = "s1:chooseCompactDisk";
+    this.BUTTON_CHOOSE_OBJECT_PREFIX = "s1:chooseObject:";
     this.BUTTON_CONFIRM_OBJECTSIZE = "s1:confirmObjectSize";
+    this.BUTTON_CONFIRM_RULER = "s1:confirmRuler";
+    this.BUTTON_GROW_WIDTH = "s1:growWidth";
+    this.BUTTON_SHRINK_WIDTH = "s1:shrinkWidth";
+    this.BUTTON_GROW_HEIGHT = "s1:growHeight";
+    this.BUTTON_SHRINK_HEIGHT = "s1:shrinkHeight";
+    this.BUTTON_CHOOSE_BLINDSPOT = "distance:chooseBlindSpot";
+    this.BUTTON_CHOOSE_MANUALDISTANCE = "distance:chooseManualDistance";
+    this.BUTTON_KEEP_DISTANCE = "distance:keepDistance";
+    this.BUTTON_CONFIRM_MANUALDISTANCE = "distance:confirmManualDistance";
+    this.BUTTON_START_BLINDSPOT = "distance:startBlindSpot";
+    this.BUTTON_CONFIRM_DISTANCE = "distance:confirmDistance";
     this.BUTTON_CONFIRM_BRIGHTNESS = "s2:confirmBrightness";
+    this.BUTTON_CONFIRM_GAMMA_MATCH = "s2:confirmGammaMatch";
+    this.BUTTON_MEASURE_REFRESH_RATE = "refreshRate:measure";
+    this.BUTTON_CONFIRM_REFRESH_RATE = "refreshRate:confirm";
     this.BUTTON_FINAL_CONFIRM = "s3:finalConfirm";
 
+    this.BUTTON_RESUME = "session:resume";
+
+    this.BUTTON_NEXT = "next";
     this.BUTTON_BACK = "back";
 
+    /**
+     * Registered steps by name, see calibrator.registerStep()
+     * @type {Object}
+     * @private
+     */
+    this.steps = {};
+
+    /**
+     * Names of the registered steps in display order
+     * @type {Array}
+     * @private
+     */
+    this.stepOrder = [];
+
+    this.registerDefaultSteps();
+
     this.currentStep = this.STEP_SCREENSIZE_ASK_IFKNOWS;
 
     /**
@@ -171,6 +468,85 @@ class Calibrator {
      */
     this.FLOAT_PRECISION = 2;
 
+    /**
+     * Names of the CSS custom properties set on :root after the calibration, usable as calc(var(--calibrator-px-per-deg) * 3).
+     * The pixels per degree are the central ones (calibrator.centralPixelsPerDegree), as for the elements sized in degrees,
+     * and the pixels per cm and per inch are measured along the screen width, as CSS lengths.
+     * @type {Object}
+     * @const
+     * @public
+     */
+    this.CSS_PROPERTIES = {
+      pixelsPerDegree: "--calibrator-px-per-deg",
+      pixelsPerCm: "--calibrator-px-per-cm",
+      pixelsPerInch: "--calibrator-px-per-inch"
+    };
+
+    /**
+     * Attribute giving the size in degrees of elements sized by calibrator.sizeElementsInDegrees()
+     * @type {string}
+     * @const
+     * @private
+     */
+    this.SIZE_IN_DEGREES_ATTRIBUTE = "data-size-deg";
+
+    /**
+     * Class added to the elements sized by calibrator.sizeElementsInDegrees(), so they are resized with the CSS properties
+     * @type {string}
+     * @const
+     * @private
+     */
+    this.SIZED_IN_DEGREES_CLASS = "calibrator-sized-in-deg";
+
+    /**
+     * Unit of each numeric key of the callback output, returned as its units key
+     * @type {Object}
+     * @const
+     * @private
+     */
+    this.OUTPUT_UNITS = {
+      diagonalSize: "inch",
+      diagonalSizeInPx: "px",
+      diagonalSizeInDevicePx: "device px",
+      devicePixelRatio: "device px / px",
+      screenWidthPx: "px",
+      screenHeightPx: "px",
+      availWidthPx: "px",
+      availHeightPx: "px",
+      viewportWidthPx: "px",
+      viewportHeightPx: "px",
+      distanceFromScreenInCm: "cm",
+      pixelsPerInch: "px / inch",
+      devicePixelsPerInch: "device px / inch",
+      pixelsPerCm: "px / cm",
+      devicePixelsPerCm: "device px / cm",
+      horizontalPixelsPerCm: "px / cm",
+      verticalPixelsPerCm: "px / cm",
+      pixelAspectRatio: "ratio",
+      mmPerPixel: "mm / px",
+      arcminPerPixel: "arcmin / px",
+      screenWidthCm: "cm",
+      screenHeightCm: "cm",
+      aspectRatio: "ratio",
+      screenWidthDeg: "deg",
+      screenHeightDeg: "deg",
+      viewportWidthDeg: "deg",
+      viewportHeightDeg: "deg",
+      objectSizeMean: "inch",
+      objectSizeSD: "inch",
+      objectSizeRelativeSD: "ratio",
+      pixelsPerDegree: "px / deg",
+      devicePixelsPerDegree: "device px / deg",
+      centralPixelsPerDegree: "px / deg",
+      centralDevicePixelsPerDegree: "device px / deg",
+      blackCrushLevel: "gray level (0-255)",
+      whiteClipLevel: "gray level (0-255)",
+      gamma: "exponent",
+      refreshRate: "Hz",
+      frameIntervalMeanInMs: "ms",
+      frameIntervalSDInMs: "ms"
+    };
+
     /**
      * Private variables
      */
@@ -197,784 +573,4315 @@ class Calibrator {
     this._imageRatio = 0.5;
 
     /**
-     * Determines if the calibrator automatically shows after loading of templates.
-     * @type {boolean}
+     * Private variable holding the scale ratio of the image height between 0 and 1, fitted separately from the width.
+     * @type {Number}
      * @private
      */
-    this._showWhenReady = (showWhenReady === true) ? true : false;
-
-    /** Setup callback */
+    this._imageHeightRatio = 0.5;
 
     /**
-     * Function called after the user closes the calibrator. Argument sent to the callback is an object with keys 
-     *   * status 
-     *     + 0 the calibrator did not finish normally
-     *     + 1 calibrator finish normally
-     *   * diagonalSize 
-     *     + diagonal size in inches
-     *   * diagonalSizeInPx
-     *     + diagonal size in inches
-     *   * distanceFromScreenInCm
-     *     + distance from the screen in cm (calibrator.distanceFromScreen)
-     *   * pixelsPerInch
-     *     + computed pixel density in pixels per inch
-     *   * pixelsPerDegree
-     *     + computed pixels per degree
-     *     
-     * @type {function}
-     * @public
+     * Private variable holding the ratio of the vertical to the horizontal pixel density, 1 for square pixels.
+     * @type {Number}
+     * @private
      */
-    this.callbackWhenClosed = null;
-
-    if (!callbackWhenClosed) {
-      console.log("Calibrator.js: no callback is set-up for the calibrator to call when finished!");
-    } else {
-      this.callbackWhenClosed = callbackWhenClosed;
-    }
-
-    /** Handle Resize */
-    $(window).resize(function () {
-      thisObject.canvasResized();
-    });
+    this._pixelAspectRatio = 1;
 
-  }
+    /**
+     * Private variable holding the adjustments of the reference object size, each {diagonalSize, pixelAspectRatio, startRatio, imageRatio, imageHeightRatio}.
+     * @type {Array}
+     * @private
+     */
+    this._objectSizeTrials = [];
 
-  /**
-   * Preloads images from path defined in this.IMAGES
-   * @return {undefined}
-   * @private
-   */
-  preloadImages() {
-    for (var key in this.IMAGES) {
-      this.cachedImages[key] = new Image();
-      this.cachedImages[key].src = this.IMAGES[key][0];
+    /**
+     * Private variable holding the image ratio the current adjustment started from.
+     * @type {Number}
+     * @private
+     */
+    this._objectSizeStartRatio = null;
 
-      //this.cachedImages[key].onload = function() {
-      //   if (++loadedImages >= numImages) {
-      //     callback(images);
-      //   }
-      // };
-    }
-  }
+    /**
+     * Private variable holding the gray levels matched to the striped patterns, each {luminance, grayLevel}.
+     * @type {Array}
+     * @private
+     */
+    this._gammaMatches = [];
 
-  /**
-   * Called after all templates are loaded and compiled.
-   * @return {undefined}
-   * @private
-   */
-  templatesAreLoaded() {
-    console.log("Calibrator.js : All templates are loaded");
+    /**
+     * Private variable holding the solid gray level currently shown in the gamma step, between 0 and 255.
+     * @type {Number}
+     * @private
+     */
+    this._gammaGrayLevel = 128;
 
-    /** Add calibrator div to DOM */
-    this.addToDom();
+    /**
+     * Private variable holding the position and size in device pixels of the gray square of the gamma pattern
+     * @type {Object}
+     * @private
+     */
+    this._gammaSquare = null;
 
     /**
-     * Container element reference 
-     * @type {object}
+     * Private variable holding the display gamma fitted on the matches, or null until it is measured.
+     * @type {Number}
+     * @private
      */
-    this.container = $(".calibrator-container");
+    this._gamma = null;
 
-    /** Toggle display depending on preset showWhenReady */
-    $(this.container).toggle(this._showWhenReady);
+    /**
+     * Private variable holding the indices, in calibrator.brightnessLevels, of the darkest box told apart from black
+     * and of the lightest box told apart from white.
+     * @type {Object}
+     * @private
+     */
+    this._brightnessSelection = {
+      black: null,
+      white: null
+    };
+
+    /**
+     * Private variable holding the requestAnimationFrame timestamps sampled to measure the refresh rate.
+     * @type {Array}
+     * @private
+     */
+    this._frameTimestamps = [];
+
+    /**
+     * Private variable holding the id of the refresh rate animation frame request, null when not measuring.
+     * @type {Number}
+     * @private
+     */
+    this._refreshRateAnimation = null;
+
+    /**
+     * Private variable holding the refresh rate measurement {refreshRate, frameIntervalMean, frameIntervalSD, droppedFrames}, or null.
+     * @type {Object}
+     * @private
+     */
+    this._refreshRate = null;
+
+    /**
+     * Messages of the pause prompt, by reason
+     * @type {Object}
+     * @const
+     * @private
+     */
+    this.PAUSE_MESSAGES = {
+      start: "The calibration runs in fullscreen, so that it matches the experiment. Click continue to switch to fullscreen.",
+      fullscreen: "You left fullscreen. Click continue to go back to fullscreen and resume the calibration.",
+      hidden: "The calibration was paused while the page was hidden. Click continue to resume it."
+    };
+
+    /**
+     * Private variable holding the reason the calibrator is paused ("start", "fullscreen" or "hidden"), or null when it runs.
+     * @type {string}
+     * @private
+     */
+    this._pauseReason = null;
+
+    /**
+     * Private variable set once the enter hook of the current step has run. A step shown behind the pause prompt is entered
+     * when the calibration resumes, a step already entered is resumed without running its enter hook again.
+     * @type {boolean}
+     * @private
+     */
+    this._stepEntered = false;
+
+    /**
+     * Private variable holding the number of times the participant left fullscreen during the calibration.
+     * @type {Number}
+     * @private
+     */
+    this._fullscreenExits = 0;
+
+    /**
+     * Private variable holding the screen wake lock sentinel, or null.
+     * @type {Object}
+     * @private
+     */
+    this._wakeLock = null;
+
+    /**
+     * Private variable holding the drag handle being dragged on the reference image, "width", "height" or null.
+     * @type {string}
+     * @private
+     */
+    this._draggedHandle = null;
+
+    /**
+     * Private variable holding the two finger pinch in progress on the reference image, {distance, imageRatio, imageHeightRatio} at its start, or null.
+     * @type {Object}
+     * @private
+     */
+    this._pinch = null;
+
+    /**
+     * Private variable holding the density in px per cm at which the current reference object is drawn with the slider at its maximum,
+     * adapted to the viewport. See calibrator.updateMaxPixelsPerCm()
+     * @type {Number}
+     * @private
+     */
+    this._maxPixelsPerCm = null;
+
+    /**
+     * Private variable holding the fixation-to-dot distances in cm recorded during the blind spot trials.
+     * @type {Array}
+     * @private
+     */
+    this._blindSpotTrials = [];
+
+    /**
+     * Private variable holding the horizontal position in px of the moving dot on the canvas.
+     * @type {Number}
+     * @private
+     */
+    this._blindSpotDotX = null;
+
+    /**
+     * Private variable holding the requestAnimationFrame id of the blind spot animation, null when stopped.
+     * @type {Number}
+     * @private
+     */
+    this._blindSpotAnimation = null;
+
+    /**
+     * Private variable holding the origin of calibrator.distanceFromScreen, one of calibrator.DISTANCE_SOURCE_XXX
+     * @type {string}
+     * @private
+     */
+    this._distanceFromScreenSource = this.DISTANCE_SOURCE_DEFAULT;
+
+    /**
+     * Private variable holding the valid distance typed in the viewing distance input until it is confirmed, null otherwise
+     * @type {Number}
+     * @private
+     */
+    this._enteredDistanceInCm = null;
+
+    /**
+     * Prefix of the localStorage keys under which calibrations are saved, followed by the display fingerprint hash
+     * @type {string}
+     * @const
+     * @private
+     */
+    this.STORAGE_KEY_PREFIX = "calibrator-js:";
+
+    /**
+     * Calibration saved during a previous session on the same display, null if there is none, it expired or the participant
+     * chose to recalibrate.
+     * Object with keys savedAt (timestamp in ms), fingerprint and result (the callback output of that session).
+     * @type {Object}
+     * @public
+     */
+    this.previousCalibration = this.options.persistCalibration ? this.loadCalibration() : null;
+
+    /**
+     * Private variable set when the current values were restored from calibrator.previousCalibration
+     * @type {boolean}
+     * @private
+     */
+    this._usedPreviousCalibration = false;
+
+    /**
+     * Private variable holding the display state at the end of the calibration while it is monitored, null otherwise
+     * @type {Object}
+     * @private
+     */
+    this._calibrationSnapshot = null;
+
+    /**
+     * Private variable holding the media query list watching the device pixel ratio while the calibration is monitored
+     * @type {MediaQueryList}
+     * @private
+     */
+    this._resolutionMediaQuery = null;
+
+    /**
+     * Private listener shared by the monitoring events so that they can be removed
+     * @type {function}
+     * @private
+     */
+    this._checkCalibrationValidity = function () {
+      thisObject.checkCalibrationValidity();
+    };
+
+    /**
+     * Private variable holding the promise returned by calibrator.start() and its resolve function until the calibrator is closed
+     * @type {Object}
+     * @private
+     */
+    this._pendingRun = null;
+
+    /**
+     * Private variable holding the error of the first template that failed to load, null if none failed
+     * @type {Error}
+     * @private
+     */
+    this._templateError = null;
+
+    /**
+     * Private variable set once the CSS custom properties are written on :root, so that they are kept updated
+     * @type {boolean}
+     * @private
+     */
+    this._cssPropertiesPublished = false;
+
+    /**
+     * Private variable set by calibrator.destroy(), so that late asynchronous callbacks leave the page untouched
+     * @type {boolean}
+     * @private
+     */
+    this._destroyed = false;
+
+    /**
+     * Determines if the calibrator automatically shows after loading of templates.
+     * @type {boolean}
+     * @private
+     */
+    this._showWhenReady = (showWhenReady === true) ? true : false;
+
+    /** Setup callback */
+
+    /**
+     * Function called after the user closes the calibrator. Argument sent to the callback is an object with keys 
+     *   * status 
+     *     + 0 the calibrator did not finish normally
+     *     + 1 calibrator finish normally
+     *   * diagonalSize 
+     *     + diagonal size in inches
+     *   * diagonalSizeInPx
+     *     + diagonal size in CSS pixels
+     *   * diagonalSizeInDevicePx
+     *     + diagonal size in physical device pixels
+     *   * devicePixelRatio
+     *     + device pixels per CSS pixel (window.devicePixelRatio)
+     *   * screenWidthPx, screenHeightPx
+     *     + full screen resolution in CSS pixels, used for the diagonal
+     *   * availWidthPx, availHeightPx
+     *     + screen area available to windows in CSS pixels (without taskbar or dock)
+     *   * viewportWidthPx, viewportHeightPx
+     *     + size of the browser viewport in CSS pixels at the end of the calibration
+     *   * fullscreen
+     *     + true if the calibration ended in fullscreen
+     *   * fullscreenExits
+     *     + number of times the participant left fullscreen during the calibration
+     *   * distanceFromScreenInCm
+     *     + distance from the screen in cm (calibrator.distanceFromScreen)
+     *   * distanceFromScreenSource
+     *     + "measured" (blind spot), "entered" (typed in) or "default"
+     *   * pixelsPerInch
+     *     + computed pixel density in CSS pixels per inch
+     *   * devicePixelsPerInch
+     *     + computed pixel density in device pixels per inch
+     *   * pixelsPerCm, devicePixelsPerCm
+     *     + computed pixel density in CSS and device pixels per cm
+     *   * mmPerPixel
+     *     + width of a CSS pixel in mm
+     *   * arcminPerPixel
+     *     + visual angle of a CSS pixel at the center of the screen, in minutes of arc
+     *   * screenWidthCm, screenHeightCm
+     *     + physical width and height of the screen in cm
+     *   * aspectRatio
+     *     + physical aspect ratio of the screen, screenWidthCm / screenHeightCm
+     *   * screenWidthDeg, screenHeightDeg
+     *     + visual angle in degrees covered by the full screen width and height
+     *   * viewportWidthDeg, viewportHeightDeg
+     *     + visual angle in degrees covered by the browser viewport width and height
+     *   * units
+     *     + unit of each numeric key of the output, e.g. units.screenWidthCm is "cm"
+     *   * horizontalPixelsPerCm, verticalPixelsPerCm
+     *     + CSS pixel densities along the width and the height, fitted separately on the reference object
+     *   * pixelAspectRatio
+     *     + verticalPixelsPerCm / horizontalPixelsPerCm, 1 for square pixels
+     *   * anisotropicPixels
+     *     + true when pixelAspectRatio differs from 1 by more than the anisotropyThreshold option
+     *   * objectSizeTrials
+     *     + each adjustment of the reference object or ruler {diagonalSize, pixelAspectRatio, startRatio, imageRatio, imageHeightRatio}, or null
+     *   * objectSizeMean, objectSizeSD
+     *     + mean and standard deviation of the adjusted diagonal sizes in inches
+     *   * objectSizeRelativeSD
+     *     + objectSizeSD / objectSizeMean, a reliability index of the screen size
+     *   * brightnessLevels
+     *     + gray levels (0 to 255) of the boxes of the brightness step, from black to white
+     *   * blackCrushIndex, blackCrushLevel
+     *     + index in brightnessLevels and gray level of the darkest box told apart from black, darker boxes are crushed to black
+     *   * whiteClipIndex, whiteClipLevel
+     *     + index in brightnessLevels and gray level of the lightest box told apart from white, lighter boxes are clipped to white
+     *   * gamma
+     *     + display gamma fitted on the gray matches, luminance = (grayLevel / 255) ^ gamma
+     *   * gammaMatches
+     *     + gray level matched to each striped pattern {luminance, grayLevel}
+     *   * refreshRate
+     *     + display refresh rate in Hz, from the median interval between requestAnimationFrame callbacks
+     *   * frameIntervalMeanInMs, frameIntervalSDInMs
+     *     + mean and standard deviation of the frame intervals in ms (jitter)
+     *   * droppedFrames
+     *     + number of frames skipped during the measurement
+     *   * pixelsPerDegree
+     *     + computed CSS pixels per degree, averaged over the screen width
+     *   * devicePixelsPerDegree
+     *     + computed device pixels per degree
+     *   * centralPixelsPerDegree, centralDevicePixelsPerDegree
+     *     + CSS and device pixels per degree at the screen center, where pixelsPerDegree (averaged over the screen width) overestimates
+     *   * usedPreviousCalibration
+     *     + true if the participant chose to reuse a saved calibration
+     *   * previousCalibration
+     *     + calibration saved during a previous session on this display (see calibrator.previousCalibration), or null
+     *     
+     * @type {function}
+     * @public
+     */
+    this.callbackWhenClosed = null;
+
+    if (!callbackWhenClosed) {
+      console.log("Calibrator.js: no callback is set-up for the calibrator to call when finished!");
+    } else {
+      this.callbackWhenClosed = callbackWhenClosed;
+    }
+
+    /** Handle Resize */
+    $(window).on(this.namespaced("resize"), function () {
+      thisObject.canvasResized();
+      if (thisObject._cssPropertiesPublished) {
+        thisObject.publishCssProperties();
+      }
+    });
+
+    /** Session guard, see calibrator.options.requireFullscreen and calibrator.options.keepScreenAwake */
+    $(document).on(this.namespaced("fullscreenchange webkitfullscreenchange"), function () {
+      thisObject.fullscreenChanged();
+    });
+
+    $(document).on(this.namespaced("visibilitychange"), function () {
+      thisObject.visibilityChanged();
+    });
+
+  }
+
+  /**
+   * Preloads the images of the reference objects that are not cached yet
+   * @return {undefined}
+   * @private
+   */
+  preloadImages() {
+    for (var key in this.referenceObjects) {
+      if ((!this.referenceObjects[key].image) || (_.has(this.cachedImages, key))) {
+        continue;
+      }
+      this.cachedImages[key] = new Image();
+      this.cachedImages[key].src = this.referenceObjects[key].image;
+
+      //this.cachedImages[key].onload = function() {
+      //   if (++loadedImages >= numImages) {
+      //     callback(images);
+      //   }
+      // };
+    }
+  }
+
+  /**
+   * Called after all templates are loaded and compiled.
+   * @return {undefined}
+   * @private
+   */
+  templatesAreLoaded() {
+    console.log("Calibrator.js : All templates are loaded");
+
+    /** Add calibrator div to DOM */
+    this.addToDom();
+
+    /**
+     * Container element reference 
+     * @type {object}
+     */
+    this.container = this.find(".calibrator-container");
+
+    /** Show the active step in the top guide */
+    this.updateGuide();
+
+    /** Toggle display depending on preset showWhenReady */
+    $(this.container).toggle(this._showWhenReady);
 
     /** Setup events */
     this.resetEvents();
 
+    /** Perform the logic of the mounted step, as calibrator.updateView() does after a step change, once the session guard is set */
+    if (this.currentStepObject.back) {
+      this.addBackButton();
+    }
+    if (this._showWhenReady) {
+      this.startSessionGuard();
+      this.setStepLogic();
+    }
+
+    this.emit("ready");
+
   }
 
   /**
-   * Adds the calibrator container template to the DOM
+   * Adds the calibrator container template to the DOM, in calibrator.options.container or the body
    * @private 
    */
   addToDom() {
-    this.templateManager.renderInTarget("container", {
-      title: this.currentTitle,
+    var host = $(this.options.container || "body").first();
+    if (!host.length) {
+      console.log("Calibrator.js: the container " + this.options.container + " is not in the page, the calibrator is added to the body.");
+      host = $("body");
+    }
+
+    this.root = $($.trim(this.templateManager.render("container", {
+      guide: this.guideHtml,
+      title: _.escape(this.currentTitle),
       content: this.currentContent
-    }, "body");
+    })));
+
+    /** Mounted in a host element, the calibrator flows in it instead of floating above the page */
+    this.root.toggleClass("calibrator-embedded", Boolean(this.options.container));
+    host.append(this.root);
   }
 
-  /* ======== Appearence Methods ======== */
+  /**
+   * Finds elements inside this calibrator, so that other calibrators and the host page are left untouched.
+   * @param  {string} selector jQuery selector
+   * @return {object}          jQuery collection, empty before the calibrator is added to the DOM
+   * @public
+   */
+  find(selector) {
+    return (this.root ? this.root.find(selector) : $());
+  }
 
   /**
-   * Shows the calibrator.
+   * Adds the namespace of this calibrator to event names.
+   * @param  {string} eventNames event names separated by spaces
+   * @return {string}            namespaced event names
+   * @private
+   */
+  namespaced(eventNames) {
+    var thisObject = this;
+    return (_.map(eventNames.split(" "), function (eventName) {
+      return (eventName + thisObject.eventNamespace);
+    }).join(" "));
+  }
+
+  /* ======== Reference Objects ======== */
+
+  /**
+   * Adds a reference object to the screen size step. Object keys:
+   *   * key
+   *     + unique identifier
+   *   * label
+   *     + text of the button on the choose object screen
+   *   * widthCm
+   *     + physical width of the object in cm, the dimension matched by the participant
+   *   * heightCm
+   *     + physical height in cm, omit for objects matched along one edge only (paper edge, ruler)
+   *   * image
+   *     + optional url of an image of the object, else it is drawn as a shape
+   *   * shape
+   *     + "rectangle", "circle", "edge" or "ruler", used when there is no image
+   *   * maxPixelsPerCm
+   *     + density at which the object is drawn when the slider is at its maximum, by default the object then fills the canvas width or most of the viewport height
+   * Adding an object with an existing key replaces it.
+   * @param  {Object} referenceObject object description
+   * @return {Calibrator} the calibrator, for chaining
+   * @public
+   */
+  addReferenceObject(referenceObject) {
+    if ((!referenceObject) || (!referenceObject.key) || (!referenceObject.label)) {
+      this.raiseError("a reference object needs a key and a label.");
+    }
+
+    if (!(Number(referenceObject.widthCm) > 0)) {
+      this.raiseError("the width of the reference object " + referenceObject.key + " is invalid.");
+    }
+
+    this.referenceObjects[referenceObject.key] = _.defaults({}, referenceObject, {
+      image: null,
+      heightCm: null,
+      shape: referenceObject.heightCm ? "rectangle" : "edge",
+      maxPixelsPerCm: null
+    });
+
+    delete this.cachedImages[referenceObject.key];
+    this.preloadImages();
+
+    return (this);
+  }
+
+  /**
+   * Registers the reference objects shipped with the calibrator.
    * @return {undefined}
-   * @public 
+   * @private
+   */
+  registerDefaultReferenceObjects() {
+    var thisObject = this;
+    _.each([{
+      key: this.IMAGE_KEY_CREDITCARD,
+      label: "Credit Card",
+      image: this.calibratorFullpath + "/img/card.png",
+      widthCm: 8.56,
+      heightCm: 5.398
+    }, {
+      key: "idCard",
+      label: "ID card or driving licence",
+      widthCm: 8.56,
+      heightCm: 5.398
+    }, {
+      key: this.IMAGE_KEY_CD,
+      label: "Compact Disk",
+      image: this.calibratorFullpath + "/img/cd.png",
+      widthCm: 12,
+      heightCm: 12
+    }, {
+      key: "a4Paper",
+      label: "A4 paper (short edge)",
+      widthCm: 21
+    }, {
+      key: "letterPaper",
+      label: "Letter paper (short edge)",
+      widthCm: 21.59
+    }, {
+      key: this.IMAGE_KEY_RULER,
+      label: "Ruler (10 cm)",
+      widthCm: 10,
+      shape: "ruler"
+    }, {
+      key: "euro1",
+      label: "1 euro coin",
+      widthCm: 2.325,
+      heightCm: 2.325,
+      shape: "circle"
+    }, {
+      key: "euro2",
+      label: "2 euro coin",
+      widthCm: 2.575,
+      heightCm: 2.575,
+      shape: "circle"
+    }, {
+      key: "usQuarter",
+      label: "US quarter",
+      widthCm: 2.426,
+      heightCm: 2.426,
+      shape: "circle"
+    }, {
+      key: "pound1",
+      label: "1 pound coin",
+      widthCm: 2.343,
+      heightCm: 2.343,
+      shape: "circle"
+    }, {
+      key: "franc5",
+      label: "5 Swiss franc coin",
+      widthCm: 3.145,
+      heightCm: 3.145,
+      shape: "circle"
+    }], function (referenceObject) {
+      thisObject.addReferenceObject(referenceObject);
+    });
+  }
+
+  /**
+   * Selects the reference object used in the screen size step.
+   * @param  {string} key reference object key
+   * @return {undefined}
+   * @private
+   */
+  chooseReferenceObject(key) {
+    if (!_.has(this.referenceObjects, key)) {
+      this.raiseError("unknown reference object " + key + ".");
+    }
+    this._currentImage = key;
+    this._maxPixelsPerCm = null;
+    this.updateCanvasHeight();
+  }
+
+  /* ======== Run Methods ======== */
+
+  /**
+   * Creates a calibrator and starts it.
+   * @param  {Object} options Calibrator options, see calibrator.options
+   * @return {Promise}        Resolved with the calibrator output when it is closed (status 0 if dismissed), rejected if a template fails to load
+   * @public
+   */
+  static run(options = {}) {
+    var calibrator = new Calibrator(null, false, options);
+    return (calibrator.start());
+  }
+
+  /**
+   * Shows the calibrator from its first step, or as soon as its templates are loaded.
+   * Calling start() again before the calibrator is closed returns the same promise.
+   * @param  {string}  step name of the step to start from, the first step by default
+   * @return {Promise} Resolved with the calibrator output when it is closed (status 0 if dismissed), rejected if a template fails to load
+   * @public
+   */
+  start(step = this.STEP_SCREENSIZE_ASK_IFKNOWS) {
+    if (this._templateError) {
+      return (Promise.reject(this._templateError));
+    }
+
+    if (!this._pendingRun) {
+      var pendingRun = {};
+      pendingRun.promise = new Promise(function (resolve, reject) {
+        pendingRun.resolve = resolve;
+        pendingRun.reject = reject;
+      });
+      this._pendingRun = pendingRun;
+    }
+
+    if (this.container) {
+      this.goToStep(step);
+      this.show();
+    } else {
+      this.getStep(step);
+      this.currentStep = step;
+      this._showWhenReady = true;
+    }
+
+    return (this._pendingRun.promise);
+  }
+
+  /* ======== Lifecycle Methods ======== */
+
+  /**
+   * Clears the calibration (screen size, reference object, viewing distance, display measurements) and goes back to the first step.
+   * The calibrator stays shown or hidden, and a pending calibrator.start() promise stays pending.
+   * @return {Calibrator} the calibrator, for chaining
+   * @public
+   */
+  reset() {
+    this.clearResultsFrom(this.STEP_SCREENSIZE_ASK_IFKNOWS);
+
+    if (this.container) {
+      this.goToStep(this.STEP_SCREENSIZE_ASK_IFKNOWS);
+    } else {
+      this.currentStep = this.STEP_SCREENSIZE_ASK_IFKNOWS;
+    }
+
+    return (this);
+  }
+
+  /**
+   * Clears the results of a step and of the steps after it, the results of earlier steps are kept.
+   * @param  {string} step step name
+   * @return {undefined}
+   * @private
+   */
+  clearResultsFrom(step) {
+    var thisObject = this;
+    var stepIndex = _.indexOf(this.stepOrder, step);
+
+    /** True if the step is redone, i.e. it comes at or after the restarted step */
+    var isRedone = function (name) {
+      return (stepIndex <= _.indexOf(thisObject.stepOrder, name));
+    };
+
+    this.stopBlindSpot();
+    this.stopRefreshRateMeasurement();
+    this.stopMonitoring();
+
+    if (isRedone(this.STEP_SCREENSIZE_CHOOSE_OBJECT)) {
+      this._currentImage = null;
+    }
+
+    if (isRedone(this.STEP_SCREENSIZE_RULER)) {
+      this.diagonalSize = null;
+      this._imageRatio = 0.5;
+      this._imageHeightRatio = 0.5;
+      this._pixelAspectRatio = 1;
+      this._maxPixelsPerCm = null;
+      this._objectSizeTrials = [];
+      this._objectSizeStartRatio = null;
+      this._draggedHandle = null;
+      this._pinch = null;
+
+      /** Nothing is published until the screen size is calibrated again */
+      this.unpublishCssProperties();
+    }
+
+    if (isRedone(this.STEP_DISTANCE_BLINDSPOT)) {
+      this.distanceFromScreen = this.DEFAULT_DISTANCE_FROM_SCREEN_IN_CM;
+      this._distanceFromScreenSource = this.DISTANCE_SOURCE_DEFAULT;
+      this._enteredDistanceInCm = null;
+      this._blindSpotTrials = [];
+      this._blindSpotDotX = null;
+    }
+
+    if (isRedone(this.STEP_BRIGHTNESS)) {
+      this._brightnessSelection = {
+        black: null,
+        white: null
+      };
+    }
+
+    if (isRedone(this.STEP_GAMMA)) {
+      this._gammaMatches = [];
+      this._gammaGrayLevel = 128;
+      this._gamma = null;
+    }
+
+    if (isRedone(this.STEP_REFRESH_RATE)) {
+      this._frameTimestamps = [];
+      this._refreshRate = null;
+    }
+
+    this._usedPreviousCalibration = false;
+    this._fullscreenExits = 0;
+    this._pauseReason = null;
+    this.find(".calibrator-pause").hide();
+  }
+
+  /**
+   * Clears the results of a step and of the steps after it, and shows the calibrator from this step,
+   * e.g. to measure the viewing distance again between blocks of an experiment. Results of earlier steps are kept,
+   * so a step after the screen size steps can only be restarted once the screen size is known.
+   * @param  {string}  step name of the step to start from, the first step by default
+   * @return {Promise} Resolved with the calibrator output when it is closed, see calibrator.start()
+   * @public
+   */
+  restart(step = this.STEP_SCREENSIZE_ASK_IFKNOWS) {
+    this.getStep(step);
+
+    var stepIndex = _.indexOf(this.stepOrder, step);
+    if ((stepIndex > _.indexOf(this.stepOrder, this.STEP_SCREENSIZE_RULER)) && (!this.diagonalSize)) {
+      this.raiseError("the screen size is not calibrated, the calibrator can not restart from " + step + ".");
+    }
+    if ((step === this.STEP_SCREENSIZE_ENTER_OBJECTSIZE) && (!this._currentImage)) {
+      this.raiseError("no reference object is chosen, the calibrator can not restart from " + step + ".");
+    }
+
+    this.clearResultsFrom(step);
+    return (this.start(step));
+  }
+
+  /**
+   * Removes the calibrator from the page: pending template loads are cancelled, its DOM is removed and every handler it added
+   * to the window, the document and the calibrator itself is unbound. A pending calibrator.start() promise is resolved as dismissed.
+   * The calibrator can not be used afterwards.
+   * @return {undefined}
+   * @public
+   */
+  destroy() {
+    if (this._pendingRun) {
+      this.callbackNow(0);
+    }
+
+    /** The current step was entered only if the calibrator is shown */
+    if (this.isShown) {
+      this.callStepHook("leave");
+    }
+    this.stopBlindSpot();
+    this.stopRefreshRateMeasurement();
+    this.stopMonitoring();
+    this.stopSessionGuard();
+    this.templateManager.cancel();
+    this.unpublishCssProperties();
+    this._destroyed = true;
+
+    $(window).off(this.eventNamespace);
+    $(document).off(this.eventNamespace);
+
+    if (this.root) {
+      this.root.remove();
+      this.root = null;
+    }
+    this.container = null;
+
+    $(this).off();
+  }
+
+  /* ======== Event Emitter Methods ======== */
+
+  /**
+   * Attaches a handler to a calibrator event. Handlers are called with the jQuery event and a detail argument:
+   *   * ready
+   *     + templates are loaded and the calibrator is in the DOM
+   *   * stepchange
+   *     + {step, previousStep, title} when the wizard moves to another step
+   *   * sizechange
+   *     + {diagonalSize, previousDiagonalSize} when the diagonal size changes (input, slider, restored calibration)
+   *   * dismiss
+   *     + calibrator output (status 0) when the calibrator is dismissed
+   *   * complete
+   *     + calibrator output (status 1) when the calibration is confirmed
+   *   * invalidated
+   *     + {reason, previous, current} when the display changed after the calibration (see calibrator.options)
+   *   * pause
+   *     + {reason} when the calibrator waits for fullscreen ("start", "fullscreen") or the page was hidden ("hidden")
+   *   * resume
+   *     + {reason} when the participant continues after a pause
+   *   * error
+   *     + Error instance, e.g. a template failed to load
+   * @param  {string}   eventName event name, several can be given separated by spaces
+   * @param  {function} handler   function (event, detail)
+   * @return {Calibrator} the calibrator, for chaining
+   * @public
+   */
+  on(eventName, handler) {
+    $(this).on(eventName, handler);
+    return (this);
+  }
+
+  /**
+   * Removes a handler attached with calibrator.on(). Without handler, every handler of the event is removed.
+   * @param  {string}   eventName event name
+   * @param  {function} handler   handler to remove
+   * @return {Calibrator} the calibrator, for chaining
+   * @public
+   */
+  off(eventName, handler) {
+    $(this).off(eventName, handler);
+    return (this);
+  }
+
+  /**
+   * Calls the handlers of an event.
+   * @param  {string} eventName event name
+   * @param  {*}      detail    argument passed to the handlers after the event
+   * @return {undefined}
+   * @private
+   */
+  emit(eventName, detail) {
+    $(this).triggerHandler(eventName, [detail]);
+  }
+
+  /**
+   * Emits an error event and throws the error.
+   * @param  {string} message error message
+   * @private
+   */
+  raiseError(message) {
+    var error = new Error("Calibrator.js: " + message);
+    this.emit("error", error);
+    throw error;
+  }
+
+  /* ======== Appearence Methods ======== */
+
+  /**
+   * Shows the calibrator.
+   * @return {undefined}
+   * @public 
+   */
+  show() {
+    $(this.container).fadeIn(200);
+    this.startSessionGuard();
+  }
+
+  /**
+   * Hides the calibrator.
+   * @return {undefined} 
+   * @public
+   */
+  hide() {
+    $(this.container).fadeOut(200);
+    this.stopSessionGuard();
+  }
+
+  /**
+   * Toggle the display of the calibrator.
+   * @return {undefined} 
+   * @public
+   */
+  toggle() {
+    $(this.container).toggle(200);
+  }
+
+  /**
+   * Toggle display of the information div.
+   * @return {undefined} 
+   * @public
+   */
+  toggleInfo() {
+    this.find(".calibrator-info-content").toggle(200);
+  }
+
+  /* ======== View Update Methods ======== */
+
+  /**
+   * Updates the view with the appropriate title and content for the current step.
+   * @return {undefined} 
+   * @private
+   */
+  updateView() {
+    /** keep reference to current object for the callbacks */
+    var thisObject = this;
+
+    /** Update top guide */
+    this.updateGuide();
+
+    /**
+     * Animate title switch 
+     */
+    this.find(".calibrator-title").animate({
+      opacity: 0
+    }, 300, function () {
+      thisObject.find(".calibrator-title").html("<h3>" + _.escape(thisObject.currentTitle) + "</h3>");
+      thisObject.find(".calibrator-title").animate({
+        opacity: 300
+      }, 100);
+    });
+
+    /**
+     * Setup animation of content switch 
+     */
+    thisObject.find(".calibrator-content").animate({
+      opacity: 0
+    }, 300, function () {
+
+      /** Load content */
+      thisObject.find(".calibrator-content").html(thisObject.currentContent);
+
+      /** Perform logic associated with this step */
+      thisObject.setStepLogic();
+
+      /** Add back button if necessary */
+      if (thisObject.currentStepObject.back) {
+        thisObject.addBackButton();
+      }
+
+      /** Show content div */
+      thisObject.find(".calibrator-content").animate({
+        opacity: 300
+      }, 100, function () {
+
+        /** Reset events after animation is done and DOM is ready */
+        thisObject.resetEvents();
+
+      });
+    });
+
+  }
+
+  /**
+   * Function that update the classes of the top guide to show active step.
+   * @return {undefined} 
+   * @private
+   */
+  updateGuide() {
+    if (this.find(".calibrator-guide").length) {
+      _.each(this.find(".calibrator-guide div"), function (element) {
+        $(element).removeClass("calibrator-guide-active");
+      });
+
+      var guideIndex = _.indexOf(this.guideLabels, this.currentStepObject.guide);
+      if (guideIndex >= 0) {
+        this.find(".calibrator-guide-step").eq(guideIndex).addClass("calibrator-guide-active");
+      }
+    } else {
+      console.log("Calibrator.js: calibrator-guide div not in the dom.");
+    }
+  }
+
+  /**
+   * Redraws the top guide from the registered steps.
+   * @return {undefined}
+   * @private
+   */
+  renderGuide() {
+    this.find(".calibrator-guide").html(this.guideHtml);
+    this.updateGuide();
+  }
+
+  /* ======== Event Handling Methods ======== */
+
+  /**
+   * Resets event listeners after DOM change
+   * @return {undefined} 
+   * @private
+   */
+  resetEvents() {
+
+    /** Remove current handlers */
+    this.find(".calibrator-info-icon").off();
+    this.find(".calibrator-dismiss-icon").off();
+    this.find(".calibrator-button").off();
+    this.find(".calibrator-size-range").off();
+    this.find(".calibrator-size-range-height").off();
+    this.find(".calibrator-gamma-range").off();
+    this.find(".calibrator-distance-input").off();
+    this.find(".calibrator-distance-unit").off();
+    this.find(".calibrator-canvas").off();
+    $(document).off(this.namespaced("keydown mousemove mouseup"));
+
+    /**
+     * Hold the reference to the calibrator object for callbacks
+     * @type {Object}
+     */
+    var thisObject = this;
+
+    this.find(".calibrator-info-icon").on("click", function (e) {
+      thisObject.toggleInfo();
+    });
+
+    this.find(".calibrator-dismiss-icon").on("click", function (e) {
+      thisObject.callStepHook("leave");
+      thisObject.callbackNow(0);
+      thisObject.hide();
+    });
+
+    this.find(".calibrator-button").on("click", function (e) {
+      thisObject.buttonClicked(e);
+    });
+
+    /** "input" fires while the slider moves, "change" only when it is released */
+    this.find(".calibrator-size-range").on("input change", function (e) {
+      thisObject.setRatioFromRange($(e.target));
+      thisObject.setRangeFromRatio();
+      thisObject.drawImage();
+      thisObject.updateSummaryInformation();
+    });
+
+    this.find(".calibrator-size-range-height").on("input change", function (e) {
+      thisObject.setHeightRatioFromRange($(e.target));
+      thisObject.drawImage();
+      thisObject.updateSummaryInformation();
+    });
+
+    this.find(".calibrator-gamma-range").on("input change", function (e) {
+      thisObject._gammaGrayLevel = Number($(e.target).val());
+      thisObject.drawGammaSquare();
+    });
+
+    this.find(".calibrator-distance-input").on("input", function (e) {
+      thisObject.previewDistanceFromInput();
+    });
+
+    /** Changing unit converts the displayed value, the distance itself is unchanged */
+    this.find(".calibrator-distance-unit").on("change", function (e) {
+      thisObject.setInputFromDistance();
+    });
+
+    /** Drag handles and mouse wheel resize the reference image */
+    this.find(".calibrator-canvas").on("mousedown", function (e) {
+      if (thisObject.isAdjustingSize) {
+        thisObject._draggedHandle = thisObject.handleAt(thisObject.canvasPosition(e));
+        if (thisObject._draggedHandle) {
+          e.preventDefault();
+        }
+      }
+    });
+
+    this.find(".calibrator-canvas").on("mousemove", function (e) {
+      if ((thisObject.isAdjustingSize) && (!thisObject._draggedHandle)) {
+        var handle = thisObject.handleAt(thisObject.canvasPosition(e));
+        e.target.style.cursor = handle ? ((handle == "width") ? "ew-resize" : "ns-resize") : "";
+      }
+    });
+
+    $(document).on(this.namespaced("mousemove"), function (e) {
+      if (thisObject._draggedHandle) {
+        thisObject.dragHandle(thisObject._draggedHandle, thisObject.canvasPosition(e));
+      }
+    });
+
+    $(document).on(this.namespaced("mouseup"), function (e) {
+      thisObject._draggedHandle = null;
+    });
+
+    /** Touch: one finger drags the handles, two fingers pinch to scale the image */
+    this.find(".calibrator-canvas").on("touchstart", function (e) {
+      if (!thisObject.isAdjustingSize) {
+        return;
+      }
+
+      if (e.originalEvent.touches.length === 2) {
+        e.preventDefault();
+        thisObject._draggedHandle = null;
+        thisObject._pinch = {
+          distance: thisObject.touchDistance(e),
+          imageRatio: thisObject.imageRatio,
+          imageHeightRatio: thisObject.imageHeightRatio
+        };
+      } else {
+        /** Fingers are less precise than a mouse pointer */
+        thisObject._draggedHandle = thisObject.handleAt(thisObject.canvasPosition(e), 2 * thisObject.HANDLE_SIZE_IN_PX);
+        if (thisObject._draggedHandle) {
+          e.preventDefault();
+        }
+      }
+    });
+
+    this.find(".calibrator-canvas").on("touchmove", function (e) {
+      if ((thisObject._pinch) && (e.originalEvent.touches.length === 2)) {
+        e.preventDefault();
+        thisObject.zoomReferenceImage(thisObject._pinch, thisObject.touchDistance(e) / thisObject._pinch.distance);
+      } else if (thisObject._draggedHandle) {
+        e.preventDefault();
+        thisObject.dragHandle(thisObject._draggedHandle, thisObject.canvasPosition(e));
+      }
+    });
+
+    this.find(".calibrator-canvas").on("touchend touchcancel", function (e) {
+      if (e.originalEvent.touches.length < 2) {
+        thisObject._pinch = null;
+      }
+      if (!e.originalEvent.touches.length) {
+        thisObject._draggedHandle = null;
+      }
+    });
+
+    /** In the brightness step, a click selects the darkest then the lightest box told apart from the background */
+    this.find(".calibrator-canvas").on("click", function (e) {
+      if (thisObject.currentStep == thisObject.STEP_BRIGHTNESS) {
+        var index = thisObject.brightnessBoxAt(thisObject.canvasPosition(e));
+        if (index !== null) {
+          thisObject.selectBrightnessBox(index);
+        }
+      }
+    });
+
+    this.find(".calibrator-canvas").on("wheel", function (e) {
+      if (thisObject.isAdjustingSize) {
+        e.preventDefault();
+        var step = thisObject.ADJUSTMENT_STEPS_IN_PX[e.shiftKey ? 1 : 0];
+        thisObject.resizeReferenceImage((e.originalEvent.deltaY < 0) ? step : -step, null);
+      }
+    });
+
+    /** Keyboard shortcuts, namespaced to leave the host page handlers untouched. Only the calibrator shown responds */
+    $(document).on(this.namespaced("keydown"), function (e) {
+      if (!thisObject.isShown) {
+        return;
+      }
+
+      if ((e.which === 32) && (thisObject.currentStep == thisObject.STEP_DISTANCE_BLINDSPOT) && (thisObject._blindSpotAnimation !== null)) {
+        e.preventDefault();
+        thisObject.recordBlindSpotTrial();
+      }
+
+      /** Arrow keys resize the reference image: left and right its width, up and down its height. Shift for coarse steps */
+      if ((e.which >= 37) && (e.which <= 40) && (thisObject.isAdjustingSize) && (!$(e.target).is("input, select, textarea"))) {
+        e.preventDefault();
+        var step = thisObject.ADJUSTMENT_STEPS_IN_PX[e.shiftKey ? 1 : 0];
+        var sign = ((e.which === 39) || (e.which === 38)) ? 1 : -1;
+        if ((e.which === 37) || (e.which === 39)) {
+          thisObject.resizeReferenceImage(sign * step, null);
+        } else {
+          thisObject.resizeReferenceImage(null, sign * step);
+        }
+      }
+    });
+
+  }
+
+  /* ======== Step Management Methods ======== */
+
+  /**
+   * Registers a wizard step. A step is an object with keys
+   *   * name
+   *     + unique name of the step, used by calibrator.goToStep()
+   *   * html, templateUrl or template
+   *     + content of the step: an underscore template string, the url of a template file or the name of a loaded template.
+   *       Buttons with class "calibrator-button" and value "next" or "back" move through the steps, an element with class
+   *       "calibrator-backdiv" receives the back button.
+   *   * title
+   *     + title of the step as plain text, defaults to the guide label
+   *   * guide
+   *     + label of the step in the top guide as plain text, consecutive steps sharing a label are grouped, defaults to the name
+   *   * next, back
+   *     + names of the steps reached with the "next" and "back" buttons, set from the position if omitted
+   *   * variables(calibrator)
+   *     + returns the variables used to render the template
+   *   * enter(calibrator), leave(calibrator), resize(calibrator)
+   *     + hooks called after the content is drawn, before another step is shown and when the window is resized.
+   *       leave is also called when the calibration is paused
+   *   * resume(calibrator)
+   *     + hook called when the calibration resumes after a pause, with the content and the state of the step kept.
+   *       A step whose leave hook stops a measurement restarts it here
+   *   * buttonClicked(value, calibrator)
+   *     + called when a "calibrator-button" with a value unknown to the calibrator is clicked
+   *   * result(calibrator)
+   *     + returns an object merged into the calibrator output
+   * Hooks are called with the calibrator as this.
+   * @param  {Object} step     step definition
+   * @param  {Object} position {before: stepName} or {after: stepName}, defaults to before the summary.
+   * Only used internally with null, to append the default steps.
+   * @return {Calibrator} the calibrator, for chaining
+   * @public
+   */
+  registerStep(step, position = {}) {
+    if ((!step) || (!step.name)) {
+      this.raiseError("a step needs a name.");
+    }
+
+    if (_.has(this.steps, step.name)) {
+      this.raiseError("a step named " + step.name + " is already registered.");
+    }
+
+    step = _.defaults({}, step, {
+      template: "step:" + step.name,
+      guide: step.guide || step.name,
+      title: step.title || step.guide || step.name,
+      next: null,
+      back: null
+    });
+
+    /** Custom templates are stored under the name of the step */
+    if (step.html) {
+      this.templateManager.store(step.template, step.html);
+    } else if (step.templateUrl) {
+      this.templateManager.add(step.template, step.templateUrl);
+    }
+
+    if (position === null) {
+      this.stepOrder.push(step.name);
+    } else if (position.after) {
+      var previousStep = this.getStep(position.after);
+      step.back = step.back || previousStep.name;
+      step.next = step.next || previousStep.next;
+      if ((previousStep.next) && (this.steps[previousStep.next].back === previousStep.name)) {
+        this.steps[previousStep.next].back = step.name;
+      }
+      previousStep.next = step.name;
+      this.stepOrder.splice(_.indexOf(this.stepOrder, previousStep.name) + 1, 0, step.name);
+    } else {
+      var nextStep = this.getStep(position.before || this.STEP_SUMMARY);
+      _.each(this.steps, function (registeredStep) {
+        if (registeredStep.next === nextStep.name) {
+          registeredStep.next = step.name;
+        }
+      });
+      step.back = step.back || nextStep.back;
+      step.next = step.next || nextStep.name;
+      nextStep.back = step.name;
+      this.stepOrder.splice(_.indexOf(this.stepOrder, nextStep.name), 0, step.name);
+    }
+
+    this.steps[step.name] = step;
+
+    if (this.container) {
+      this.renderGuide();
+    }
+
+    return (this);
+  }
+
+  /**
+   * Returns a registered step.
+   * @param  {string} name step name
+   * @return {Object}      step definition
+   * @public
+   */
+  getStep(name) {
+    if (!_.has(this.steps, name)) {
+      this.raiseError("unknown step " + name + ".");
+    }
+    return (this.steps[name]);
+  }
+
+  /**
+   * Registers the built-in steps of the calibrator.
+   * @return {undefined}
+   * @private
+   */
+  registerDefaultSteps() {
+    this.registerStep({
+      name: this.STEP_SCREENSIZE_ASK_IFKNOWS,
+      template: "knownsize",
+      title: this.STEP_TITLES[0],
+      guide: this.STEP_GUIDES[0],
+      variables: function () {
+        var previous = this.previousCalibration ? this.previousCalibration.result : null;
+        return ({
+          previousCalibrationStyle: previous ? "" : "display:none;",
+          previousDate: previous ? new Date(this.previousCalibration.savedAt).toLocaleDateString() : "",
+          previousDiagonalSize: previous ? previous.diagonalSize.toFixed(this.FLOAT_PRECISION) : "",
+          previousDistance: previous ? previous.distanceFromScreenInCm.toFixed(this.FLOAT_PRECISION) : ""
+        });
+      }
+    }, null);
+
+    this.registerStep({
+      name: this.STEP_SCREENSIZE_ENTER_KNOWNSIZE,
+      template: "enterknownsize",
+      title: this.STEP_TITLES[0],
+      guide: this.STEP_GUIDES[0],
+      back: this.STEP_SCREENSIZE_ASK_IFKNOWS,
+      next: this.STEP_DISTANCE_CHOOSE_METHOD,
+      enter: function () {
+        /**
+         * If diagonalSize is valid - set the input to its value, else set _diagonalSize to null
+         */
+        if ($.isNumeric(this.diagonalSize)) {
+          this.find(".calibrator-monitor-size")[0].value = this.diagonalSize.toFixed(this.FLOAT_PRECISION);
+        } else {
+          this.diagonalSize = null;
+        }
+      }
+    }, null);
+
+    this.registerStep({
+      name: this.STEP_SCREENSIZE_CHOOSE_OBJECT,
+      template: "chooseobject",
+      title: this.STEP_TITLES[0],
+      guide: this.STEP_GUIDES[0],
+      back: this.STEP_SCREENSIZE_ASK_IFKNOWS,
+      variables: function () {
+        var thisObject = this;
+        /** The ruler has its own method on the first screen */
+        var referenceObjects = _.omit(this.referenceObjects, this.IMAGE_KEY_RULER);
+        return ({
+          objectButtons: _.map(referenceObjects, function (referenceObject) {
+            return ('<button class="btn calibrator-button" type="button" value="' +
+              _.escape(thisObject.BUTTON_CHOOSE_OBJECT_PREFIX + referenceObject.key) + '">' +
+              _.escape(referenceObject.label) +
+              '</button>');
+          }).join("")
+        });
+      }
+    }, null);
+
+    this.registerStep({
+      name: this.STEP_SCREENSIZE_ENTER_OBJECTSIZE,
+      template: "specifystandardsize",
+      title: this.STEP_TITLES[0],
+      guide: this.STEP_GUIDES[0],
+      back: this.STEP_SCREENSIZE_CHOOSE_OBJECT,
+      next: this.STEP_DISTANCE_CHOOSE_METHOD,
+      enter: function () {
+        /** Objects matched along one edge cannot tell the vertical density */
+        this.find(".calibrator-height-fitting").toggle(Boolean(this.referenceObjects[this.currentImage].heightCm));
+        this.updateMaxPixelsPerCm(false);
+        this.startObjectSizeTrials();
+      },
+      resize: function () {
+        this.updateMaxPixelsPerCm(true);
+        this.drawImage();
+      }
+    }, null);
+
+    this.registerStep({
+      name: this.STEP_SCREENSIZE_RULER,
+      template: "ruler",
+      title: this.STEP_TITLES[0],
+      guide: this.STEP_GUIDES[0],
+      back: this.STEP_SCREENSIZE_ASK_IFKNOWS,
+      next: this.STEP_DISTANCE_CHOOSE_METHOD,
+      enter: function () {
+        this.chooseReferenceObject(this.IMAGE_KEY_RULER);
+        this.updateMaxPixelsPerCm(false);
+        this.startObjectSizeTrials();
+      },
+      resize: function () {
+        this.updateMaxPixelsPerCm(true);
+        this.drawImage();
+      }
+    }, null);
+
+    this.registerStep({
+      name: this.STEP_DISTANCE_CHOOSE_METHOD,
+      template: "choosedistance",
+      title: this.STEP_TITLES[1],
+      guide: this.STEP_GUIDES[1],
+      back: this.STEP_SCREENSIZE_ASK_IFKNOWS,
+      next: this.STEP_BRIGHTNESS,
+      variables: function () {
+        return ({
+          distanceFromScreen: this.distanceFromScreen.toFixed(0)
+        });
+      }
+    }, null);
+
+    this.registerStep({
+      name: this.STEP_DISTANCE_ENTER_DISTANCE,
+      template: "enterdistance",
+      title: this.STEP_TITLES[1],
+      guide: this.STEP_GUIDES[1],
+      back: this.STEP_DISTANCE_CHOOSE_METHOD,
+      next: this.STEP_BRIGHTNESS,
+      enter: function () {
+        this._enteredDistanceInCm = null;
+        this.setInputFromDistance();
+        this.updateSummaryInformation();
+      }
+    }, null);
+
+    this.registerStep({
+      name: this.STEP_DISTANCE_BLINDSPOT,
+      template: "blindspot",
+      title: this.STEP_TITLES[1],
+      guide: this.STEP_GUIDES[1],
+      back: this.STEP_DISTANCE_CHOOSE_METHOD,
+      next: this.STEP_BRIGHTNESS,
+      variables: function () {
+        return ({
+          numberOfTrials: this.BLINDSPOT_NUMBER_OF_TRIALS
+        });
+      },
+      enter: function () {
+        this._blindSpotTrials = [];
+        this.resetBlindSpotDot();
+        this.drawBlindSpot();
+        this.updateBlindSpotInformation();
+      },
+      leave: function () {
+        this.stopBlindSpot();
+      },
+      resume: function () {
+        /** A measurement interrupted by the pause goes on from a new trial */
+        this.resetBlindSpotDot();
+        if ((this._blindSpotTrials.length) && (this._blindSpotTrials.length < this.BLINDSPOT_NUMBER_OF_TRIALS)) {
+          this.animateBlindSpot();
+        }
+        this.drawBlindSpot();
+      },
+      resize: function () {
+        this.resetBlindSpotDot();
+        this.drawBlindSpot();
+      }
+    }, null);
+
+    this.registerStep({
+      name: this.STEP_BRIGHTNESS,
+      template: "setbrightness",
+      title: this.STEP_TITLES[2],
+      guide: this.STEP_GUIDES[2],
+      back: this.STEP_DISTANCE_CHOOSE_METHOD,
+      next: this.STEP_GAMMA,
+      enter: function () {
+        this._brightnessSelection = {
+          black: null,
+          white: null
+        };
+        this.updateBrightnessInformation();
+        this.drawGrayScale();
+      },
+      resize: function () {
+        this.drawGrayScale();
+      },
+      result: function () {
+        var levels = this.brightnessLevels;
+        var selection = this._brightnessSelection;
+        return ({
+          brightnessLevels: levels,
+          blackCrushIndex: selection.black,
+          blackCrushLevel: (selection.black !== null) ? levels[selection.black] : null,
+          whiteClipIndex: selection.white,
+          whiteClipLevel: (selection.white !== null) ? levels[selection.white] : null
+        });
+      }
+    }, null);
+
+    this.registerStep({
+      name: this.STEP_GAMMA,
+      template: "gamma",
+      title: this.STEP_TITLES[2],
+      guide: this.STEP_GUIDES[2],
+      back: this.STEP_BRIGHTNESS,
+      next: this.STEP_REFRESH_RATE,
+      variables: function () {
+        return ({
+          numberOfMatches: this.GAMMA_LUMINANCE_LEVELS.length
+        });
+      },
+      enter: function () {
+        this._gammaMatches = [];
+        this.startGammaMatch();
+      },
+      resize: function () {
+        this.drawGammaPattern();
+      },
+      result: function () {
+        return ({
+          gamma: this.gamma,
+          gammaMatches: this._gammaMatches.length ? this._gammaMatches : null
+        });
+      }
+    }, null);
+
+    this.registerStep({
+      name: this.STEP_REFRESH_RATE,
+      template: "refreshrate",
+      title: this.STEP_TITLES[3],
+      guide: this.STEP_GUIDES[3],
+      back: this.STEP_GAMMA,
+      next: this.STEP_SUMMARY,
+      enter: function () {
+        this.startRefreshRateMeasurement();
+      },
+      leave: function () {
+        this.stopRefreshRateMeasurement();
+      },
+      resume: function () {
+        /** Frames sampled before the pause are not reliable */
+        if (!this._refreshRate) {
+          this.startRefreshRateMeasurement();
+        }
+      },
+      result: function () {
+        var measurement = this._refreshRate || {};
+        return ({
+          refreshRate: _.has(measurement, "refreshRate") ? measurement.refreshRate : null,
+          frameIntervalMeanInMs: _.has(measurement, "frameIntervalMean") ? measurement.frameIntervalMean : null,
+          frameIntervalSDInMs: _.has(measurement, "frameIntervalSD") ? measurement.frameIntervalSD : null,
+          droppedFrames: _.has(measurement, "droppedFrames") ? measurement.droppedFrames : null
+        });
+      }
+    }, null);
+
+    this.registerStep({
+      name: this.STEP_SUMMARY,
+      template: "summary",
+      title: this.STEP_TITLES[4],
+      guide: this.STEP_GUIDES[4],
+      back: this.STEP_REFRESH_RATE,
+      variables: function () {
+        return ({
+          diagonalSize: this.diagonalSize.toFixed(this.FLOAT_PRECISION),
+          diagonalSizeInPx: Math.ceil(this.diagonalSizeInPx),
+          distanceFromScreen: this.distanceFromScreen.toFixed(this.FLOAT_PRECISION),
+          pixelsPerDegree: this.pixelsPerDegree.toFixed(this.FLOAT_PRECISION),
+          pixelsPerInch: this.pixelsPerInch.toFixed(this.FLOAT_PRECISION),
+          devicePixelRatio: this.devicePixelRatio,
+          devicePixelsPerDegree: this.devicePixelsPerDegree.toFixed(this.FLOAT_PRECISION),
+          devicePixelsPerInch: this.devicePixelsPerInch.toFixed(this.FLOAT_PRECISION),
+          refreshRateStyle: ((this.options.showRefreshRate) && (this._refreshRate)) ? "" : "display:none;",
+          refreshRate: this._refreshRate ? this._refreshRate.refreshRate.toFixed(0) : ""
+        });
+      }
+    }, null);
+  }
+
+  /**
+   * Calls a hook of the current step with the calibrator as this.
+   * @param  {string} hookName name of the hook (enter, leave, resize)
+   * @return {*} value returned by the hook
+   * @private
+   */
+  callStepHook(hookName) {
+    var step = this.steps[this.currentStep];
+    if ((step) && (_.isFunction(step[hookName]))) {
+      return (step[hookName].call(this, this));
+    }
+  }
+
+  /**
+   * Go to the specified step. 
+   * @param  {string} step step name as defined by calibrator.STEP_XXX or calibrator.registerStep()
+   * @return {undefined}
+   * @private
+   */
+  goToStep(step) {
+    this.getStep(step);
+
+    var previousStep = this.currentStep;
+    this.callStepHook("leave");
+    this._stepEntered = false;
+    this.currentStep = step;
+    this.updateView();
+    this.emit("stepchange", {
+      step: step,
+      previousStep: previousStep,
+      title: this.currentTitle
+    });
+  }
+
+  /**
+   * After step content has been drawn, this function performs step specific logic.
+   * @private
+   */
+  setStepLogic() {
+    /** Behind the pause prompt, the step is entered when the calibration resumes */
+    if (this._pauseReason !== null) {
+      return;
+    }
+
+    this._stepEntered = true;
+    this.callStepHook("enter");
+  }
+
+  /**
+   * Goes to the next step of the current one.
+   * @return {undefined}
+   * @private
+   */
+  goToNextStep() {
+    if (this.currentStepObject.next) {
+      this.goToStep(this.currentStepObject.next);
+    }
+  }
+
+  /**
+   * Goes to previous step.
+   * @return {undefined}
+   * @private
+   */
+  goToPreviousStep() {
+    if (this.currentStepObject.back) {
+      this.goToStep(this.currentStepObject.back);
+    }
+  }
+
+  /**
+   * Add a back button to the content div.
+   * @private
+   */
+  addBackButton() {
+    /** look for a .calibrator-backdiv placeholder in the document */
+    if (this.find(".calibrator-backdiv").length) {
+      var backButtonHtml = '<button class="btn calibrator-button calibrator-button-back" value="back">' +
+        'Back' +
+        '</button>';
+      this.find(".calibrator-backdiv").append(backButtonHtml);
+    } else {
+      var backButtonHtml = '<div class="col-xs-12 calibrator-spacing">' +
+        '</div>' +
+        '<div class="col-xs-12 ">' +
+        '<button class="btn calibrator-button calibrator-button-back" value="back">' +
+        'Back' +
+        '</button>' +
+        '</div>';
+      this.find(".calibrator-content").append(backButtonHtml);
+    }
+
+  }
+
+  /**
+   * handles all events related to the calibrator buttons being clicked
+   * @param  {object} event event from the callback
+   * @private
+   */
+  buttonClicked(event) {
+    var buttonValue = event.target.value;
+
+    /** Reference object buttons are generated from calibrator.referenceObjects */
+    if (buttonValue.indexOf(this.BUTTON_CHOOSE_OBJECT_PREFIX) === 0) {
+      this.chooseReferenceObject(buttonValue.substr(this.BUTTON_CHOOSE_OBJECT_PREFIX.length));
+      this.goToStep(this.STEP_SCREENSIZE_ENTER_OBJECTSIZE);
+      return;
+    }
+
+    switch (buttonValue) {
+    case this.BUTTON_USE_PREVIOUS:
+      this.restorePreviousCalibration();
+      this.goToStep(this.STEP_SUMMARY);
+      break;
+    case this.BUTTON_RECALIBRATE:
+      this._usedPreviousCalibration = false;
+      this.previousCalibration = null;
+      this.find(".calibrator-previous-calibration").hide(200);
+      break;
+    case this.BUTTON_SIZEKNOWN:
+      this._usedPreviousCalibration = false;
+      this.goToStep(this.STEP_SCREENSIZE_ENTER_KNOWNSIZE);
+      break;
+    case this.BUTTON_SIZEUNKNOWN:
+      this._usedPreviousCalibration = false;
+      this.goToStep(this.STEP_SCREENSIZE_CHOOSE_OBJECT);
+      break;
+    case this.BUTTON_USE_RULER:
+      this._usedPreviousCalibration = false;
+      this.goToStep(this.STEP_SCREENSIZE_RULER);
+      break;
+
+    case this.BUTTON_CONFIRM_MANUALSIZE:
+      if ($.isNumeric(this.find(".calibrator-monitor-size")[0].value)) {
+        /** A diagonal alone cannot tell non-square pixels */
+        this._pixelAspectRatio = 1;
+        this._objectSizeTrials = [];
+        this.diagonalSize = Number(this.find(".calibrator-monitor-size")[0].value);
+        this.goToNextStep();
+      } else {
+        console.log("Calibrator.js: monitor size is invalid");
+      }
+      break;
+
+    case this.BUTTON_GROW_WIDTH:
+    case this.BUTTON_SHRINK_WIDTH:
+      this.resizeReferenceImage(((buttonValue == this.BUTTON_GROW_WIDTH) ? 1 : -1) * this.ADJUSTMENT_STEPS_IN_PX[0], null);
+      break;
+    case this.BUTTON_GROW_HEIGHT:
+    case this.BUTTON_SHRINK_HEIGHT:
+      this.resizeReferenceImage(null, ((buttonValue == this.BUTTON_GROW_HEIGHT) ? 1 : -1) * this.ADJUSTMENT_STEPS_IN_PX[0]);
+      break;
+
+    case this.BUTTON_CONFIRM_OBJECTSIZE:
+    case this.BUTTON_CONFIRM_RULER:
+      if (this.recordObjectSizeTrial()) {
+        this.goToNextStep();
+      }
+      break;
+    case this.BUTTON_CHOOSE_BLINDSPOT:
+      this.goToStep(this.STEP_DISTANCE_BLINDSPOT);
+      break;
+    case this.BUTTON_CHOOSE_MANUALDISTANCE:
+      this.goToStep(this.STEP_DISTANCE_ENTER_DISTANCE);
+      break;
+    case this.BUTTON_KEEP_DISTANCE:
+      this.goToNextStep();
+      break;
+    case this.BUTTON_CONFIRM_MANUALDISTANCE:
+      if (this.setDistanceFromInput()) {
+        this.goToNextStep();
+      } else {
+        console.log("Calibrator.js: viewing distance is invalid");
+      }
+      break;
+    case this.BUTTON_START_BLINDSPOT:
+      this.startBlindSpot();
+      break;
+    case this.BUTTON_CONFIRM_DISTANCE:
+      this.goToNextStep();
+      break;
+    case this.BUTTON_CONFIRM_BRIGHTNESS:
+      if ((this._brightnessSelection.black !== null) && (this._brightnessSelection.white !== null)) {
+        this.goToNextStep();
+      } else {
+        console.log("Calibrator.js: select the darkest and the lightest boxes first");
+      }
+      break;
+    case this.BUTTON_MEASURE_REFRESH_RATE:
+      this.startRefreshRateMeasurement();
+      break;
+    case this.BUTTON_CONFIRM_REFRESH_RATE:
+      this.goToNextStep();
+      break;
+    case this.BUTTON_CONFIRM_GAMMA_MATCH:
+      if (this.recordGammaMatch()) {
+        this.goToNextStep();
+      }
+      break;
+    case this.BUTTON_FINAL_CONFIRM:
+      this.callbackNow(1);
+      this.hide();
+      break;
+
+    case this.BUTTON_RESUME:
+      this.resume();
+      break;
+
+    case this.BUTTON_NEXT:
+      this.goToNextStep();
+      break;
+    case this.BUTTON_BACK:
+      this.goToPreviousStep();
+      break;
+
+    default:
+      if (_.isFunction(this.currentStepObject.buttonClicked)) {
+        this.currentStepObject.buttonClicked.call(this, buttonValue, this);
+      }
+    }
+  }
+
+  /* ======== Summarize Informations ======== */
+
+  /**
+   * Function that looks for place holders in the current page for summary information and updates it using calibrator.FLOAT_PRECISION.
+   * @return {undefined}
+   * @private
+   */
+  updateSummaryInformation() {
+    var thisObject = this;
+    if ((this.find(".calibrator-diagonal-size-inches").length) && (this.diagonalSize)) {
+      _.each(this.find(".calibrator-diagonal-size-inches"), function (element) {
+        $(element).html(thisObject.diagonalSize.toFixed(thisObject.FLOAT_PRECISION) + " inches");
+      });
+    }
+
+    if ((this.find(".calibrator-pixels-per-degree").length) && (this.diagonalSize)) {
+      _.each(this.find(".calibrator-pixels-per-degree"), function (element) {
+        $(element).html(thisObject.pixelsPerDegree.toFixed(thisObject.FLOAT_PRECISION));
+      });
+    }
+
+    if ((this.find(".calibrator-device-pixels-per-degree").length) && (this.diagonalSize)) {
+      _.each(this.find(".calibrator-device-pixels-per-degree"), function (element) {
+        $(element).html(thisObject.devicePixelsPerDegree.toFixed(thisObject.FLOAT_PRECISION));
+      });
+    }
+
+    if (this.find(".calibrator-distance-cm").length) {
+      _.each(this.find(".calibrator-distance-cm"), function (element) {
+        $(element).html(thisObject.distanceFromScreen.toFixed(thisObject.FLOAT_PRECISION));
+      });
+    }
+
+    if (this.find(".calibrator-pixel-aspect-ratio").length) {
+      _.each(this.find(".calibrator-pixel-aspect-ratio"), function (element) {
+        $(element).html(thisObject.pixelAspectRatio.toFixed(thisObject.FLOAT_PRECISION));
+      });
+    }
+
+    this.find(".calibrator-anisotropy-warning").toggle(this.hasAnisotropicPixels);
+
+  }
+
+  /* ======== Callback Methods ======== */
+
+  /**
+   * Function called when calibrator is dismissed. Call the callbackWhenClosed function if it was provided, else just print the result of the calibrator in the console.
+   * @param  {Number} status 0 for an early exit. 1 for a normal exit.
+   */
+  callbackNow(status) {
+    var returnObject = {
+      status: 0,
+      diagonalSize: null,
+      diagonalSizeInPx: this.diagonalSizeInPx,
+      diagonalSizeInDevicePx: this.diagonalSizeInDevicePx,
+      devicePixelRatio: this.devicePixelRatio,
+      screenWidthPx: this.screenWidthPx,
+      screenHeightPx: this.screenHeightPx,
+      availWidthPx: this.availWidthPx,
+      availHeightPx: this.availHeightPx,
+      viewportWidthPx: window.innerWidth,
+      viewportHeightPx: window.innerHeight,
+      fullscreen: this.isFullscreen,
+      fullscreenExits: this._fullscreenExits,
+      distanceFromScreenInCm: null,
+      distanceFromScreenSource: null,
+      pixelsPerInch: null,
+      devicePixelsPerInch: null,
+      pixelsPerCm: null,
+      devicePixelsPerCm: null,
+      mmPerPixel: null,
+      arcminPerPixel: null,
+      screenWidthCm: null,
+      screenHeightCm: null,
+      aspectRatio: null,
+      screenWidthDeg: null,
+      screenHeightDeg: null,
+      viewportWidthDeg: null,
+      viewportHeightDeg: null,
+      horizontalPixelsPerCm: null,
+      verticalPixelsPerCm: null,
+      pixelAspectRatio: null,
+      anisotropicPixels: null,
+      objectSizeTrials: this._objectSizeTrials.length ? this._objectSizeTrials : null,
+      objectSizeMean: this.objectSizeMean,
+      objectSizeSD: this.objectSizeSD,
+      objectSizeRelativeSD: this.objectSizeRelativeSD,
+      pixelsPerDegree: null,
+      devicePixelsPerDegree: null,
+      centralPixelsPerDegree: null,
+      centralDevicePixelsPerDegree: null,
+      usedPreviousCalibration: this._usedPreviousCalibration,
+      previousCalibration: this.previousCalibration,
+      units: _.clone(this.OUTPUT_UNITS)
+
+    };
+
+    if (this.diagonalSize) {
+      returnObject.status = status;
+      returnObject.diagonalSize = this.diagonalSize;
+      returnObject.distanceFromScreenInCm = this.distanceFromScreen;
+      returnObject.distanceFromScreenSource = this._distanceFromScreenSource;
+      returnObject.pixelsPerInch = this.pixelsPerInch;
+      returnObject.devicePixelsPerInch = this.devicePixelsPerInch;
+      returnObject.pixelsPerCm = this.pixelsPerCm;
+      returnObject.devicePixelsPerCm = this.devicePixelsPerCm;
+      returnObject.mmPerPixel = this.mmPerPixel;
+      returnObject.arcminPerPixel = this.arcminPerPixel;
+      returnObject.screenWidthCm = this.screenWidthCm;
+      returnObject.screenHeightCm = this.screenHeightCm;
+      returnObject.aspectRatio = this.aspectRatio;
+      returnObject.screenWidthDeg = this.screenWidthDeg;
+      returnObject.screenHeightDeg = this.screenHeightDeg;
+      returnObject.viewportWidthDeg = this.viewportWidthDeg;
+      returnObject.viewportHeightDeg = this.viewportHeightDeg;
+      returnObject.horizontalPixelsPerCm = this.horizontalPixelsPerCm;
+      returnObject.verticalPixelsPerCm = this.verticalPixelsPerCm;
+      returnObject.pixelAspectRatio = this.pixelAspectRatio;
+      returnObject.anisotropicPixels = this.hasAnisotropicPixels;
+      returnObject.pixelsPerDegree = this.pixelsPerDegree;
+      returnObject.devicePixelsPerDegree = this.devicePixelsPerDegree;
+      returnObject.centralPixelsPerDegree = this.centralPixelsPerDegree;
+      returnObject.centralDevicePixelsPerDegree = this.centralDevicePixelsPerDegree;
+
+    }
+
+    /** Contributions of the registered steps */
+    var thisObject = this;
+    _.each(this.stepOrder, function (name) {
+      if (_.isFunction(thisObject.steps[name].result)) {
+        _.extend(returnObject, thisObject.steps[name].result.call(thisObject, thisObject));
+      }
+    });
+
+    if ((returnObject.status === 1) && (this.options.persistCalibration)) {
+      this.saveCalibration(returnObject);
+    }
+
+    if ((returnObject.status === 1) && (this.options.publishCssProperties)) {
+      this.publishCssProperties();
+    }
+
+    if ((returnObject.status === 1) && (this.options.monitorAfterCalibration)) {
+      this.startMonitoring();
+    }
+
+    if (this.callbackWhenClosed) {
+      this.callbackWhenClosed(returnObject);
+    } else if (!this._pendingRun) {
+      console.log("Calibrator.js: Has been dismissed");
+      console.log(returnObject);
+    }
+
+    this.emit((returnObject.status === 1) ? "complete" : "dismiss", returnObject);
+
+    if (this._pendingRun) {
+      var pendingRun = this._pendingRun;
+      this._pendingRun = null;
+      pendingRun.resolve(returnObject);
+    }
+
+  }
+
+  /* ======== Persistence Methods ======== */
+
+  /**
+   * Loads the calibration saved for the current display fingerprint. Expired calibrations are removed.
+   * @return {Object} Saved calibration {savedAt, fingerprint, result} or null
+   * @private
+   */
+  loadCalibration() {
+    try {
+      var saved = JSON.parse(window.localStorage.getItem(this.storageKey));
+      if (!saved) {
+        return (null);
+      }
+
+      if ((Date.now() - saved.savedAt) > this.options.persistenceExpiryInDays * 24 * 3600 * 1000) {
+        window.localStorage.removeItem(this.storageKey);
+        return (null);
+      }
+
+      return (saved);
+    } catch (error) {
+      console.log("Calibrator.js: could not load the previous calibration. " + error);
+      return (null);
+    }
+  }
+
+  /**
+   * Saves a calibration result for the current display fingerprint. A reused calibration keeps its date, so that it still expires.
+   * @param  {Object} result Callback output of the calibrator
+   * @return {undefined}
+   * @private
+   */
+  saveCalibration(result) {
+    var saved = {
+      savedAt: ((this._usedPreviousCalibration) && (this.previousCalibration)) ? this.previousCalibration.savedAt : Date.now(),
+      fingerprint: this.displayFingerprint,
+      result: _.omit(result, "previousCalibration")
+    };
+
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(saved));
+    } catch (error) {
+      console.log("Calibrator.js: could not save the calibration. " + error);
+    }
+  }
+
+  /**
+   * Sets the screen size and viewing distance from calibrator.previousCalibration.
+   * @return {undefined}
+   * @private
+   */
+  restorePreviousCalibration() {
+    if (this.previousCalibration) {
+      var result = this.previousCalibration.result;
+      this._pixelAspectRatio = result.pixelAspectRatio || 1;
+      this._objectSizeTrials = result.objectSizeTrials || [];
+      this._gamma = result.gamma || null;
+      this._gammaMatches = result.gammaMatches || [];
+      this._brightnessSelection = {
+        black: _.isNumber(result.blackCrushIndex) ? result.blackCrushIndex : null,
+        white: _.isNumber(result.whiteClipIndex) ? result.whiteClipIndex : null
+      };
+      this._refreshRate = result.refreshRate ? {
+        refreshRate: result.refreshRate,
+        frameIntervalMean: result.frameIntervalMeanInMs,
+        frameIntervalSD: result.frameIntervalSDInMs,
+        droppedFrames: result.droppedFrames
+      } : null;
+      this.diagonalSize = result.diagonalSize;
+      this.distanceFromScreen = result.distanceFromScreenInCm;
+      this._distanceFromScreenSource = result.distanceFromScreenSource || this.DISTANCE_SOURCE_DEFAULT;
+      this._usedPreviousCalibration = true;
+    }
+  }
+
+  /* ======== Session Guard Methods ======== */
+
+  /**
+   * Asks for fullscreen before the calibration and keeps the screen awake, depending on the options.
+   * @return {undefined}
+   * @private
+   */
+  startSessionGuard() {
+    if ((this.options.requireFullscreen) && (!this.isFullscreen)) {
+      this.pause("start");
+    }
+
+    this.requestWakeLock();
+  }
+
+  /**
+   * Releases the wake lock when the calibrator is hidden.
+   * @return {undefined}
+   * @private
+   */
+  stopSessionGuard() {
+    if (this._wakeLock) {
+      this._wakeLock.release();
+      this._wakeLock = null;
+    }
+  }
+
+  /**
+   * Pauses the current step and shows the pause prompt.
+   * @param  {string} reason "start", "fullscreen" or "hidden"
+   * @return {undefined}
+   * @private
+   */
+  pause(reason) {
+    var wasPaused = this._pauseReason !== null;
+
+    /** Leaving fullscreen is the reason to show once the page is visible again */
+    if ((!wasPaused) || (reason != "hidden")) {
+      this._pauseReason = reason;
+    }
+
+    this.find(".calibrator-pause-message").html(this.PAUSE_MESSAGES[this._pauseReason]);
+    this.find(".calibrator-pause").show();
+
+    if (!wasPaused) {
+      if (this._stepEntered) {
+        this.callStepHook("leave");
+      }
+      this.emit("pause", {
+        reason: reason
+      });
+    }
+  }
+
+  /**
+   * Resumes the current step where it was paused, with its resume hook, or enters it if it was shown behind the pause prompt. Fullscreen is requested first if it is required:
+   * the browser only allows it from a click, and the calibration resumes once it is granted.
+   * @return {undefined}
+   * @private
+   */
+  resume() {
+    if ((this.options.requireFullscreen) && (!this.isFullscreen)) {
+      this.requestFullscreen();
+      return;
+    }
+
+    if (this._pauseReason === null) {
+      return;
+    }
+
+    var reason = this._pauseReason;
+    this._pauseReason = null;
+    this.find(".calibrator-pause").hide();
+
+    /** The geometry may differ in fullscreen */
+    this.requestWakeLock();
+    this.canvasResized();
+    if (this._stepEntered) {
+      this.callStepHook("resume");
+    } else {
+      this.setStepLogic();
+    }
+    this.updateSummaryInformation();
+
+    this.emit("resume", {
+      reason: reason
+    });
+  }
+
+  /**
+   * Requests fullscreen on the whole page.
+   * @return {undefined}
+   * @private
+   */
+  requestFullscreen() {
+    var element = document.documentElement;
+    var request = element.requestFullscreen || element.webkitRequestFullscreen;
+    if (!request) {
+      console.log("Calibrator.js: fullscreen is not supported by this browser");
+      return;
+    }
+
+    var promise = request.call(element);
+    if ((promise) && (promise.catch)) {
+      promise.catch(function (error) {
+        console.log("Calibrator.js: fullscreen was refused. " + error);
+      });
+    }
+  }
+
+  /**
+   * Requests a screen wake lock if calibrator.options.keepScreenAwake is set and the browser supports it.
+   * @return {undefined}
+   * @private
+   */
+  requestWakeLock() {
+    if ((!this.options.keepScreenAwake) || (this._wakeLock) || (!navigator.wakeLock)) {
+      return;
+    }
+
+    var thisObject = this;
+    navigator.wakeLock.request("screen").then(function (wakeLock) {
+      /** The calibrator was destroyed while the lock was requested */
+      if (thisObject._destroyed) {
+        wakeLock.release();
+        return;
+      }
+      thisObject._wakeLock = wakeLock;
+
+      /** The browser releases the lock when the page is hidden */
+      wakeLock.addEventListener("release", function () {
+        if (thisObject._wakeLock === wakeLock) {
+          thisObject._wakeLock = null;
+        }
+      });
+    }).catch(function (error) {
+      console.log("Calibrator.js: the screen wake lock was refused. " + error);
+    });
+  }
+
+  /**
+   * Handles fullscreen changes: entering fullscreen resumes the calibration, leaving it pauses it.
+   * @return {undefined}
+   * @private
+   */
+  fullscreenChanged() {
+    if ((!this.options.requireFullscreen) || (!this.isShown)) {
+      return;
+    }
+
+    if (this.isFullscreen) {
+      this.resume();
+    } else {
+      this._fullscreenExits++;
+      this.pause("fullscreen");
+    }
+  }
+
+  /**
+   * Handles page visibility changes: when the session guard is enabled (calibrator.options.requireFullscreen or
+   * calibrator.options.keepScreenAwake), hiding the tab pauses the calibration, and the wake lock is requested again when it is visible.
+   * @return {undefined}
+   * @private
+   */
+  visibilityChanged() {
+    if (!this.isShown) {
+      return;
+    }
+
+    if (document.hidden) {
+      if ((this.options.requireFullscreen) || (this.options.keepScreenAwake)) {
+        this.pause("hidden");
+      }
+    } else {
+      this.requestWakeLock();
+    }
+  }
+
+  /* ======== Monitoring Methods ======== */
+
+  /**
+   * Keeps a snapshot of the display and watches for changes that make the calibration invalid.
+   * @return {undefined}
+   * @private
+   */
+  startMonitoring() {
+    this.stopMonitoring();
+    this._calibrationSnapshot = this.displaySnapshot;
+
+    /** Zoom changes window.devicePixelRatio, which is compared with the snapshot on every resize */
+    $(window).on(this.namespaced("resize orientationchange"), this._checkCalibrationValidity);
+
+    /**
+     * Zoom does not always fire a resize event, a media query on the current resolution does. Some browsers round fractional
+     * ratios (1.25, 2.625) in media queries, the query is only used when it matches the current ratio.
+     */
+    if (window.matchMedia) {
+      var resolutionMediaQuery = window.matchMedia("(resolution: " + this.devicePixelRatio + "dppx)");
+      if (resolutionMediaQuery.matches) {
+        this._resolutionMediaQuery = resolutionMediaQuery;
+        this._resolutionMediaQuery.addListener(this._checkCalibrationValidity);
+      }
+    }
+  }
+
+  /**
+   * Stops watching the display.
+   * @return {undefined}
+   * @private
+   */
+  stopMonitoring() {
+    this._calibrationSnapshot = null;
+    $(window).off(this.namespaced("resize orientationchange"), this._checkCalibrationValidity);
+
+    if (this._resolutionMediaQuery) {
+      this._resolutionMediaQuery.removeListener(this._checkCalibrationValidity);
+      this._resolutionMediaQuery = null;
+    }
+  }
+
+  /**
+   * Compares the display with the snapshot taken at the end of the calibration. On a change, monitoring stops and an
+   * "invalidated" event is triggered on the calibrator with {reason, previous, current}, reason being "orientation",
+   * "zoom" (device pixel ratio) or "resolution". Listen with calibrator.on("invalidated", function (event, detail) {}).
+   * @return {undefined}
+   * @private
+   */
+  checkCalibrationValidity() {
+    if (!this._calibrationSnapshot) {
+      return;
+    }
+
+    var previous = this._calibrationSnapshot;
+    var current = this.displaySnapshot;
+    var reason = null;
+
+    if (current.orientation !== previous.orientation) {
+      reason = "orientation";
+    } else if (current.devicePixelRatio !== previous.devicePixelRatio) {
+      reason = "zoom";
+    } else if ((current.screenWidthPx !== previous.screenWidthPx) || (current.screenHeightPx !== previous.screenHeightPx)) {
+      reason = "resolution";
+    }
+
+    if (reason) {
+      console.log("Calibrator.js: calibration invalidated (" + reason + ")");
+      this.stopMonitoring();
+      this.emit("invalidated", {
+        reason: reason,
+        previous: previous,
+        current: current
+      });
+
+      if (this.options.reopenWhenInvalidated) {
+        this.goToStep(this.STEP_SCREENSIZE_ASK_IFKNOWS);
+        this.show();
+      }
+    }
+  }
+
+  /* ======== Object Methods ======== */
+
+  /**
+   * Update canvas height as a function of the selected image.
+   * @return {undefined}
+   * @private
+   */
+  updateCanvasHeight() {
+    if (this.currentImage) {
+      var referenceObject = this.referenceObjects[this.currentImage];
+      var imageMaxHeight = referenceObject.heightCm ? referenceObject.heightCm * this.currentMaxPixelsPerCm : this.REFERENCE_BAR_HEIGHT_IN_PX;
+      this.canvasHeight = imageMaxHeight + this.REFERENCE_CANVAS_MARGIN_IN_PX;
+    }
+  }
+
+  /**
+   * Adapts the maximum density of the current reference object to the viewport: with the slider at its maximum, the object fills
+   * the canvas width or most of the viewport height, so it can be matched on phones in portrait and landscape as on large monitors.
+   * @param  {Boolean} keepDrawnSize if true, the sliders are moved so the object keeps its size on the screen (after a resize or a rotation)
+   * @return {undefined}
+   * @private
+   */
+  updateMaxPixelsPerCm(keepDrawnSize = false) {
+    var referenceObject = this.referenceObjects[this.currentImage];
+    if (!referenceObject) {
+      return;
+    }
+
+    var widthInPx = this.currentImageScaledWidthInPx;
+    var heightInPx = this.currentImageScaledHeightInPx;
+
+    var maxPixelsPerCm = referenceObject.maxPixelsPerCm;
+    if (!maxPixelsPerCm) {
+      var availableWidth = (this.find(".calibrator-canvas").length ? this.find(".calibrator-canvas")[0].offsetWidth : 0) - 2 * this.RULER_MARGIN_IN_PX;
+      maxPixelsPerCm = availableWidth / referenceObject.widthCm;
+      if (referenceObject.heightCm) {
+        /** The canvas, margin included, fits in the viewport */
+        var availableHeight = window.innerHeight * this.REFERENCE_MAX_VIEWPORT_HEIGHT_FRACTION - this.REFERENCE_CANVAS_MARGIN_IN_PX;
+        maxPixelsPerCm = Math.min(maxPixelsPerCm, availableHeight / referenceObject.heightCm);
+      }
+      if (!(maxPixelsPerCm > 0)) {
+        maxPixelsPerCm = this.REFERENCE_MAX_PIXELS_PER_CM;
+      }
+    }
+    this._maxPixelsPerCm = maxPixelsPerCm;
+
+    if (keepDrawnSize) {
+      this._imageRatio = Math.min(widthInPx / (referenceObject.widthCm * maxPixelsPerCm), 1);
+      if (referenceObject.heightCm) {
+        this._imageHeightRatio = Math.min(heightInPx / (referenceObject.heightCm * maxPixelsPerCm), 1);
+      } else {
+        this._imageHeightRatio = this._imageRatio;
+      }
+      this.setRangeFromRatio();
+      this.setDiagonalSizeFromRatio();
+      this.updateSummaryInformation();
+    }
+
+    this.updateCanvasHeight();
+  }
+
+  /**
+   * Resizes the canvas to avoid unwanted scaling. Defines the canvas height as this.canvasHeight
+   * @return {undefined}
+   * @private
+   */
+  fitCanvasToContainer() {
+    if (this.find(".calibrator-canvas").length) {
+      var canvas = this.find(".calibrator-canvas")[0];
+
+      /* Make it visually fill the positioned parent */
+      canvas.style.width = '100%';
+      canvas.style.height = this.canvasHeight + 'px';
+
+      /* then set the internal size to match */
+      canvas.width = canvas.offsetWidth;
+      canvas.height = canvas.offsetHeight;
+    }
+  }
+
+  /**
+   * Function handling canvas resize and redraw 
+   */
+  canvasResized() {
+    this.fitCanvasToContainer();
+    this.callStepHook("resize");
+  }
+
+  drawImage() {
+    if ((this.find(".calibrator-canvas").length) && (this.isAdjustingSize)) {
+      this.fitCanvasToContainer();
+      var canvas = this.find(".calibrator-canvas")[0];
+      var canvasContext = canvas.getContext("2d");
+
+      /** Clear for redraw */
+      canvasContext.clearRect(0, 0, canvas.width, canvas.height);
+
+      var bounds = this.referenceImageBounds;
+      if (_.has(this.cachedImages, this._currentImage)) {
+        canvasContext.drawImage(this.cachedImages[this._currentImage], bounds.x, bounds.y, bounds.width, bounds.height);
+      } else {
+        this.drawReferenceShape(canvasContext, this.referenceObjects[this._currentImage], bounds.x, bounds.y, bounds.width, bounds.height);
+      }
+
+      /** Drag handles on the right edge, and on the bottom edge when the height can be fitted */
+      canvasContext.fillStyle = "#337AB7";
+      _.each(this.handlePositions, function (position) {
+        canvasContext.fillRect(position.x - this.HANDLE_SIZE_IN_PX / 2, position.y - this.HANDLE_SIZE_IN_PX / 2,
+          this.HANDLE_SIZE_IN_PX, this.HANDLE_SIZE_IN_PX);
+      }, this);
+    }
+  }
+
+  /**
+   * Returns the position of a mouse event relative to the canvas.
+   * @param  {Object} event jQuery mouse event
+   * @return {Object} {x, y} in canvas pixels
+   * @private
+   */
+  canvasPosition(event) {
+    var offset = this.find(".calibrator-canvas").offset();
+    var point = event;
+
+    /** Touch events carry their positions in the touch list */
+    if ((event.originalEvent) && (event.originalEvent.touches) && (event.originalEvent.touches.length)) {
+      point = event.originalEvent.touches[0];
+    }
+
+    return ({
+      x: point.pageX - offset.left,
+      y: point.pageY - offset.top
+    });
+  }
+
+  /**
+   * Returns the distance between the first two fingers of a touch event.
+   * @param  {Object} event jQuery touch event
+   * @return {Number} distance in px
+   * @private
+   */
+  touchDistance(event) {
+    var touches = event.originalEvent.touches;
+    return (Math.sqrt(Math.pow(touches[1].pageX - touches[0].pageX, 2) + Math.pow(touches[1].pageY - touches[0].pageY, 2)));
+  }
+
+  /**
+   * Returns the drag handle under a canvas position.
+   * @param  {Object} position  {x, y} in canvas pixels
+   * @param  {Number} tolerance maximum distance in px to the handle center, defaults to the handle size
+   * @return {string} "width", "height" or null
+   * @private
+   */
+  handleAt(position, tolerance = this.HANDLE_SIZE_IN_PX) {
+    var handle = _.findKey(this.handlePositions, function (handlePosition) {
+      return ((Math.abs(handlePosition.x - position.x) <= tolerance) && (Math.abs(handlePosition.y - position.y) <= tolerance));
+    });
+    return (handle || null);
+  }
+
+  /**
+   * Resizes the reference image so the dragged handle follows the mouse.
+   * @param  {string} handle   "width" or "height"
+   * @param  {Object} position {x, y} in canvas pixels
+   * @return {undefined}
+   * @private
+   */
+  dragHandle(handle, position) {
+    var bounds = this.referenceImageBounds;
+    if (handle == "width") {
+      /** The centered image grows on both sides, the ruler from its origin */
+      var width = (this.currentStep == this.STEP_SCREENSIZE_RULER) ? position.x - bounds.x : 2 * (position.x - (bounds.x + bounds.width / 2));
+      this.resizeReferenceImage(width - bounds.width, null);
+    } else {
+      var height = 2 * (position.y - (bounds.y + bounds.height / 2));
+      this.resizeReferenceImage(null, height - bounds.height);
+    }
+  }
+
+  /**
+   * Changes the drawn size of the reference image by a number of pixels, and updates the sliders and the screen size.
+   * Changing the width (handle, slider, wheel, left and right keys, buttons) scales the whole image and keeps its proportion,
+   * changing the height (handle, slider, up and down keys, buttons) only fits the height.
+   * @param  {Number} widthDeltaInPx  width change in px, or null
+   * @param  {Number} heightDeltaInPx height change in px, or null
+   * @return {undefined}
+   * @private
+   */
+  resizeReferenceImage(widthDeltaInPx, heightDeltaInPx) {
+    var referenceObject = this.referenceObjects[this.currentImage];
+    if (!referenceObject) {
+      return;
+    }
+
+    /** Objects matched along one edge only have a width */
+    if ((heightDeltaInPx !== null) && (!referenceObject.heightCm)) {
+      widthDeltaInPx = heightDeltaInPx;
+      heightDeltaInPx = null;
+    }
+
+    if (widthDeltaInPx !== null) {
+      var widthRatio = (this.currentImageScaledWidthInPx + widthDeltaInPx) / (referenceObject.widthCm * this.currentMaxPixelsPerCm);
+      this.imageRatio = Math.min(Math.max(widthRatio, 0), 1);
+    }
+
+    if (heightDeltaInPx !== null) {
+      var heightRatio = (this.currentImageScaledHeightInPx + heightDeltaInPx) / (referenceObject.heightCm * this.currentMaxPixelsPerCm);
+      this.imageHeightRatio = Math.min(Math.max(heightRatio, 0), 1);
+    }
+
+    this.setRangeFromRatio();
+    this.updateSummaryInformation();
+  }
+
+  /**
+   * Scales the width and the height of the reference image by the same factor, from the ratios at the start of a pinch,
+   * so the image is zoomed without changing its proportion.
+   * @param  {Object} startRatios {imageRatio, imageHeightRatio} at the start of the pinch
+   * @param  {Number} scale       factor applied to both ratios, limited so that none exceeds 1
+   * @return {undefined}
+   * @private
+   */
+  zoomReferenceImage(startRatios, scale) {
+    var referenceObject = this.referenceObjects[this.currentImage];
+    if ((!referenceObject) || (!(scale > 0))) {
+      return;
+    }
+
+    /** Objects matched along one edge are drawn with a fixed height */
+    var largestRatio = referenceObject.heightCm ? Math.max(startRatios.imageRatio, startRatios.imageHeightRatio) : startRatios.imageRatio;
+    if (largestRatio > 0) {
+      scale = Math.min(scale, 1 / largestRatio);
+    }
+
+    this._imageRatio = startRatios.imageRatio * scale;
+    this._imageHeightRatio = referenceObject.heightCm ? startRatios.imageHeightRatio * scale : this._imageRatio;
+    this.setDiagonalSizeFromRatio();
+    this.drawImage();
+    this.setRangeFromRatio();
+    this.updateSummaryInformation();
+  }
+
+  /**
+   * Draws a reference object without image as a shape.
+   * @param  {CanvasRenderingContext2D} canvasContext context to draw in
+   * @param  {Object} referenceObject reference object, see calibrator.addReferenceObject()
+   * @param  {Number} x      left position in px
+   * @param  {Number} y      top position in px
+   * @param  {Number} width  width in px
+   * @param  {Number} height height in px
+   * @return {undefined}
+   * @private
+   */
+  drawReferenceShape(canvasContext, referenceObject, x, y, width, height) {
+    canvasContext.fillStyle = "#DADADA";
+    canvasContext.strokeStyle = "#424242";
+    canvasContext.lineWidth = 1;
+    canvasContext.beginPath();
+
+    switch (referenceObject.shape) {
+    case "circle":
+      canvasContext.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, 2 * Math.PI);
+      canvasContext.fill();
+      canvasContext.stroke();
+      break;
+    case "rectangle":
+      /** Rounded corners of ID-1 cards are 3.18 mm for 85.6 mm */
+      var radius = Math.min(width, height) * 0.06;
+      canvasContext.moveTo(x + radius, y);
+      canvasContext.arcTo(x + width, y, x + width, y + height, radius);
+      canvasContext.arcTo(x + width, y + height, x, y + height, radius);
+      canvasContext.arcTo(x, y + height, x, y, radius);
+      canvasContext.arcTo(x, y, x + width, y, radius);
+      canvasContext.closePath();
+      canvasContext.fill();
+      canvasContext.stroke();
+      break;
+    case "ruler":
+      canvasContext.rect(x, y, width, height);
+      canvasContext.fill();
+      canvasContext.stroke();
+
+      /** One labelled tick per cm, and one per mm when they are far enough apart to be told apart */
+      var pixelsPerCm = width / referenceObject.widthCm;
+      var ticksPerCm = (pixelsPerCm >= 30) ? 10 : 1;
+      canvasContext.beginPath();
+      canvasContext.fillStyle = "#424242";
+      canvasContext.font = "10px sans-serif";
+      canvasContext.textAlign = "center";
+      for (var tick = 0; tick <= referenceObject.widthCm * ticksPerCm; tick++) {
+        var tickX = x + tick * pixelsPerCm / ticksPerCm;
+        var tickHeight = height / 4;
+        if (tick % ticksPerCm === 0) {
+          tickHeight = height / 2;
+          canvasContext.fillText(String(tick / ticksPerCm), tickX, y + height - 4);
+        } else if ((tick % (ticksPerCm / 2)) === 0) {
+          tickHeight = height / 3;
+        }
+        canvasContext.moveTo(tickX, y);
+        canvasContext.lineTo(tickX, y + tickHeight);
+      }
+      canvasContext.stroke();
+      break;
+    default:
+      /** Edge: a segment with end markers */
+      canvasContext.moveTo(x, y);
+      canvasContext.lineTo(x, y + height);
+      canvasContext.moveTo(x + width, y);
+      canvasContext.lineTo(x + width, y + height);
+      canvasContext.moveTo(x, y + height / 2);
+      canvasContext.lineTo(x + width, y + height / 2);
+      canvasContext.lineWidth = 2;
+      canvasContext.stroke();
+    }
+  }
+
+  setRatioFromRange(element = null) {
+    if (element === null) {
+      element = this.find(".calibrator-size-range");
+    }
+
+    if ($(element).length) {
+      var range = Number($(element).attr("max")) - Number($(element).attr("min"));
+      var value = Number($(element).val());
+      this.imageRatio = value / range;
+    }
+  }
+
+  setRangeFromRatio(element = null) {
+    if (element === null) {
+      element = this.find(".calibrator-size-range");
+    }
+
+    if ($(element).length) {
+      var range = Number($(element).attr("max")) - Number($(element).attr("min"));
+      $(element).val((this.imageRatio * range) + Number($(element).attr("min")));
+    }
+
+    /** The height slider scales the height alone */
+    if (this.find(".calibrator-size-range-height").length) {
+      var heightElement = this.find(".calibrator-size-range-height");
+      var heightRange = Number(heightElement.attr("max")) - Number(heightElement.attr("min"));
+      heightElement.val((this.imageHeightRatio * heightRange) + Number(heightElement.attr("min")));
+    }
+
+  }
+
+  /**
+   * Sets the image height ratio from the height slider, without changing the width.
+   * @param {Object} element slider, defaults to .calibrator-size-range-height
+   * @private
+   */
+  setHeightRatioFromRange(element = null) {
+    if (element === null) {
+      element = this.find(".calibrator-size-range-height");
+    }
+
+    if ($(element).length) {
+      var range = Number($(element).attr("max")) - Number($(element).attr("min"));
+      var value = Number($(element).val());
+      this.imageHeightRatio = value / range;
+    }
+  }
+
+  /**
+   * Starts the size adjustments of the current reference object from a random size.
+   * @return {undefined}
+   * @private
+   */
+  startObjectSizeTrials() {
+    this._objectSizeTrials = [];
+    this.startObjectSizeTrial();
+  }
+
+  /**
+   * Starts one size adjustment from a random image ratio, so the previous position does not anchor the response.
+   * @return {undefined}
+   * @private
+   */
+  startObjectSizeTrial() {
+    var range = this.OBJECT_SIZE_START_RATIO_RANGE;
+    this._objectSizeStartRatio = range[0] + Math.random() * (range[1] - range[0]);
+
+    /** Each adjustment starts with square pixels, the participant fits the height again */
+    this._imageRatio = this._objectSizeStartRatio;
+    this._imageHeightRatio = this._objectSizeStartRatio;
+    this.setDiagonalSizeFromRatio();
+    this.drawImage();
+    this.setRangeFromRatio();
+    this.updateObjectSizeTrialInformation();
+    this.updateSummaryInformation();
+  }
+
+  /**
+   * Records the current adjustment. Once enough adjustments agree within calibrator.options.objectSizeTolerance,
+   * or the maximum number of adjustments is reached, the screen size is set from their mean.
+   * @return {Boolean} true if the adjustments are complete
+   * @private
+   */
+  recordObjectSizeTrial() {
+    /** Computed from the drawn size, the diagonal setter keeps the previous value when the adjustment is out of range */
+    var size = this.sizeFromRatio;
+    if ((!size) || (!this.isValidDiagonalSize(size.diagonalSize))) {
+      console.log("Calibrator.js: the reference object size is invalid");
+      return (false);
+    }
+
+    this._objectSizeTrials.push({
+      diagonalSize: size.diagonalSize,
+      pixelAspectRatio: size.pixelAspectRatio,
+      startRatio: this._objectSizeStartRatio,
+      imageRatio: this.imageRatio,
+      imageHeightRatio: this.imageHeightRatio
+    });
+
+    var numberOfTrials = this._objectSizeTrials.length;
+    var isReliable = this.objectSizeRelativeSD <= this.options.objectSizeTolerance;
+    if ((numberOfTrials < this.options.objectSizeTrials) ||
+      ((!isReliable) && (numberOfTrials < this.options.objectSizeMaxTrials))) {
+      this.startObjectSizeTrial();
+      return (false);
+    }
+
+    this._pixelAspectRatio = _.reduce(this._objectSizeTrials, function (sum, trial) {
+      return (sum + trial.pixelAspectRatio);
+    }, 0) / numberOfTrials;
+    this.diagonalSize = this.objectSizeMean;
+    return (true);
+  }
+
+  /**
+   * Shows the progress of the size adjustments, and asks for another one when they disagree.
+   * @return {undefined}
+   * @private
+   */
+  updateObjectSizeTrialInformation() {
+    var numberOfTrials = Math.max(this.options.objectSizeTrials, this._objectSizeTrials.length + 1);
+    this.find(".calibrator-object-trials").toggle(numberOfTrials > 1);
+    this.find(".calibrator-object-trials-progress").html((this._objectSizeTrials.length + 1) + " / " + numberOfTrials);
+    this.find(".calibrator-object-trials-retry").toggle(this._objectSizeTrials.length >= this.options.objectSizeTrials);
+  }
+
+  /**
+   * Set the diagonal size in inches from the horizontal and vertical pixel densities of the scaled currentImage drawn on the canvas.
+   * Objects without a height are assumed to be drawn with square pixels.
+   * @private
+   */
+  setDiagonalSizeFromRatio() {
+    var size = this.sizeFromRatio;
+    if (size) {
+      this._pixelAspectRatio = size.pixelAspectRatio;
+      this.diagonalSize = size.diagonalSize;
+    }
+  }
+
+  /**
+   * Screen size matching the current image and height ratios of the currentImage.
+   * Objects without a height are assumed to be drawn with square pixels.
+   * @return {Object} {diagonalSize, pixelAspectRatio}, null without a current image
+   * @private
+   */
+  get sizeFromRatio() {
+    if (!this.currentImage) {
+      return (null);
+    }
+
+    var horizontalPixelsPerInch = this.currentImageScaledWidthInPx / this.currentImagePhysicalWidthInInches;
+    var verticalPixelsPerInch = horizontalPixelsPerInch;
+    if (this.referenceObjects[this.currentImage].heightCm) {
+      verticalPixelsPerInch = this.currentImageScaledHeightInPx / (this.referenceObjects[this.currentImage].heightCm / 2.54);
+    }
+
+    /** The physical diagonal from the physical width and height of the screen */
+    return ({
+      diagonalSize: Math.sqrt(Math.pow(this.screenWidthPx / horizontalPixelsPerInch, 2) +
+        Math.pow(this.screenHeightPx / verticalPixelsPerInch, 2)),
+      pixelAspectRatio: verticalPixelsPerInch / horizontalPixelsPerInch
+    });
+  }
+
+  /**
+   * Checks a screen diagonal against calibrator.DIAGONAL_VALID_RANGE_IN_INCHES.
+   * @param  {Number}  value diagonal in inches
+   * @return {Boolean}       true if the diagonal is a number within the range
+   * @private
+   */
+  isValidDiagonalSize(value) {
+    return ((value > this.DIAGONAL_VALID_RANGE_IN_INCHES[0]) && (value < this.DIAGONAL_VALID_RANGE_IN_INCHES[1]));
+  }
+
+  /* ======== Viewing Distance ======== */
+
+  /**
+   * Reads the viewing distance input and its unit.
+   * @return {Number} distance in cm, null if the input is missing, not a number or out of calibrator.DISTANCE_VALID_RANGE_IN_CM
+   * @private
+   */
+  distanceFromInput() {
+    if (!this.find(".calibrator-distance-input").length) {
+      return (null);
+    }
+
+    var value = this.find(".calibrator-distance-input")[0].value;
+    if (!$.isNumeric(value)) {
+      return (null);
+    }
+
+    var distanceInCm = Number(value) * ((this.find(".calibrator-distance-unit").val() === "inches") ? 2.54 : 1);
+    if ((distanceInCm < this.DISTANCE_VALID_RANGE_IN_CM[0]) || (distanceInCm > this.DISTANCE_VALID_RANGE_IN_CM[1])) {
+      return (null);
+    }
+
+    return (distanceInCm);
+  }
+
+  /**
+   * Called on every keystroke: shows the pixels per degree at the typed distance, without changing calibrator.distanceFromScreen
+   * until the participant confirms.
+   * @return {undefined}
+   * @private
+   */
+  previewDistanceFromInput() {
+    this._enteredDistanceInCm = this.distanceFromInput();
+    var preview = ((this._enteredDistanceInCm) && (this.diagonalSize)) ?
+      this.pixelsPerDegreeAtDistance(this._enteredDistanceInCm).toFixed(this.FLOAT_PRECISION) : "-";
+    this.find(".calibrator-pixels-per-degree").html(preview);
+  }
+
+  /**
+   * Sets calibrator.distanceFromScreen from the viewing distance input if the value is valid. Called when the participant confirms.
+   * @return {Boolean} true if the distance was valid and set
+   * @private
+   */
+  setDistanceFromInput() {
+    var distanceInCm = this.distanceFromInput();
+    if (distanceInCm === null) {
+      return (false);
+    }
+
+    this.distanceFromScreen = distanceInCm;
+    this._distanceFromScreenSource = this.DISTANCE_SOURCE_ENTERED;
+    this._enteredDistanceInCm = null;
+    this.updateSummaryInformation();
+    return (true);
+  }
+
+  /**
+   * Sets the viewing distance input, in the selected unit, to the distance being typed if it is valid, else to calibrator.distanceFromScreen.
+   * @return {undefined}
+   * @private
+   */
+  setInputFromDistance() {
+    if (this.find(".calibrator-distance-input").length) {
+      var divider = (this.find(".calibrator-distance-unit").val() === "inches") ? 2.54 : 1;
+      var distanceInCm = this._enteredDistanceInCm || this.distanceFromScreen;
+      this.find(".calibrator-distance-input")[0].value = (distanceInCm / divider).toFixed(this.FLOAT_PRECISION);
+    }
+  }
+
+  /**
+   * Starts the blind spot measurement: the dot moves left from the fixation cross until the space bar is pressed.
+   * Restarting clears previously recorded trials.
+   * @return {undefined}
+   * @private
+   */
+  startBlindSpot() {
+    if (!this.horizontalPixelsPerCm) {
+      this.raiseError("screen size must be calibrated before measuring the viewing distance.");
+    }
+
+    this.stopBlindSpot();
+    this._blindSpotTrials = [];
+    this.updateBlindSpotInformation();
+    this.resetBlindSpotDot();
+    this.animateBlindSpot();
+  }
+
+  /**
+   * Moves the dot from its current position, the recorded trials are kept.
+   * @return {undefined}
+   * @private
+   */
+  animateBlindSpot() {
+    this.stopBlindSpot();
+
+    var thisObject = this;
+    var lastTimestamp = null;
+    var animate = function (timestamp) {
+      if (lastTimestamp !== null) {
+        thisObject._blindSpotDotX -= thisObject.BLINDSPOT_DOT_SPEED_IN_CM_PER_SECOND * thisObject.horizontalPixelsPerCm * (timestamp - lastTimestamp) / 1000;
+
+        /** The dot left the canvas without a response: start the trial over */
+        if (thisObject._blindSpotDotX < 0) {
+          thisObject.resetBlindSpotDot();
+        }
+      }
+      lastTimestamp = timestamp;
+      thisObject.drawBlindSpot();
+      thisObject._blindSpotAnimation = window.requestAnimationFrame(animate);
+    };
+
+    this._blindSpotAnimation = window.requestAnimationFrame(animate);
+  }
+
+  /**
+   * Stops the blind spot animation if it is running.
+   * @return {undefined}
+   * @private
+   */
+  stopBlindSpot() {
+    if (this._blindSpotAnimation !== null) {
+      window.cancelAnimationFrame(this._blindSpotAnimation);
+      this._blindSpotAnimation = null;
+    }
+  }
+
+  /**
+   * Records the current fixation-to-dot distance as a trial. Once calibrator.BLINDSPOT_NUMBER_OF_TRIALS are
+   * recorded, the animation stops and the estimated distance is written into calibrator.distanceFromScreen.
+   * @return {undefined}
+   * @private
+   */
+  recordBlindSpotTrial() {
+    var distanceInCm = (this.blindSpotFixationX - this._blindSpotDotX) / this.horizontalPixelsPerCm;
+
+    /** Ignore presses made before the dot has moved away from the fixation cross */
+    if (distanceInCm >= 1) {
+      this._blindSpotTrials.push(distanceInCm);
+    }
+
+    this.resetBlindSpotDot();
+
+    if (this._blindSpotTrials.length >= this.BLINDSPOT_NUMBER_OF_TRIALS) {
+      this.stopBlindSpot();
+      this.distanceFromScreen = this.blindSpotDistance;
+      this._distanceFromScreenSource = this.DISTANCE_SOURCE_MEASURED;
+      this.drawBlindSpot();
+    }
+
+    this.updateBlindSpotInformation();
+  }
+
+  /**
+   * Puts the moving dot back on the fixation cross.
+   * @return {undefined}
+   * @private
+   */
+  resetBlindSpotDot() {
+    this.fitCanvasToContainer();
+    this._blindSpotDotX = this.blindSpotFixationX;
+  }
+
+  /**
+   * Draws the fixation cross and the moving dot on the canvas.
+   * @return {undefined}
+   * @private
+   */
+  drawBlindSpot() {
+    if ((this.find(".calibrator-canvas").length) && (this.currentStep == this.STEP_DISTANCE_BLINDSPOT)) {
+      var canvas = this.find(".calibrator-canvas")[0];
+      var canvasContext = canvas.getContext("2d");
+      var centerY = Math.round(canvas.height / 2);
+      var crossHalfSize = Math.round(this.horizontalPixelsPerCm / 2);
+      var fixationX = this.blindSpotFixationX;
+
+      /** Clear for redraw */
+      canvasContext.clearRect(0, 0, canvas.width, canvas.height);
+
+      /** Fixation cross */
+      canvasContext.strokeStyle = "black";
+      canvasContext.lineWidth = 3;
+      canvasContext.beginPath();
+      canvasContext.moveTo(fixationX - crossHalfSize, centerY);
+      canvasContext.lineTo(fixationX + crossHalfSize, centerY);
+      canvasContext.moveTo(fixationX, centerY - crossHalfSize);
+      canvasContext.lineTo(fixationX, centerY + crossHalfSize);
+      canvasContext.stroke();
+
+      /** Moving dot, only while the measurement runs */
+      if (this._blindSpotAnimation !== null) {
+        canvasContext.fillStyle = "red";
+        canvasContext.beginPath();
+        canvasContext.arc(this._blindSpotDotX, centerY, Math.round(this.horizontalPixelsPerCm / 4), 0, 2 * Math.PI);
+        canvasContext.fill();
+      }
+    }
+  }
+
+  /**
+   * Updates the trial counter and the estimated distance, and enables confirmation once every trial is recorded.
+   * @return {undefined}
+   * @private
+   */
+  updateBlindSpotInformation() {
+    this.find(".calibrator-blindspot-progress").html(this._blindSpotTrials.length + " / " + this.BLINDSPOT_NUMBER_OF_TRIALS);
+
+    var isComplete = this._blindSpotTrials.length >= this.BLINDSPOT_NUMBER_OF_TRIALS;
+    this.find(".calibrator-blindspot-distance").html(isComplete ? this.distanceFromScreen.toFixed(this.FLOAT_PRECISION) + " cm" : "-");
+    this.find(".calibrator-button[value='" + this.BUTTON_CONFIRM_DISTANCE + "']").prop("disabled", !isComplete);
+  }
+
+  /* ======== Brightness ======== */
+
+  drawGrayScale() {
+    if ((this.find(".calibrator-canvas").length) && (this.currentStep == this.STEP_BRIGHTNESS)) {
+      this.fitCanvasToContainer();
+      var canvas = this.find(".calibrator-canvas")[0];
+      var canvasContext = canvas.getContext("2d");
+
+      /** Clear for redraw */
+      canvasContext.clearRect(0, 0, canvas.width, canvas.height);
+
+      /** Black band above and white band below: each box is seen against both */
+      var bounds = this.brightnessBoxesBounds;
+      canvasContext.fillStyle = "rgb(0,0,0)";
+      canvasContext.fillRect(0, 0, canvas.width, Math.round(canvas.height / 2));
+      canvasContext.fillStyle = "rgb(255,255,255)";
+      canvasContext.fillRect(0, Math.round(canvas.height / 2), canvas.width, canvas.height - Math.round(canvas.height / 2));
+
+      _.each(this.brightnessLevels, function (level, i) {
+        canvasContext.fillStyle = "rgb(" + level + "," + level + "," + level + ")";
+        canvasContext.fillRect(bounds.x + i * bounds.boxWidth, bounds.y, bounds.boxWidth, bounds.boxHeight);
+      });
+
+      /** Outline the selected boxes */
+      canvasContext.lineWidth = 3;
+      _.each([
+        [this._brightnessSelection.black, "#FC0020"],
+        [this._brightnessSelection.white, "#0069AB"]
+      ], function (selection) {
+        if (selection[0] !== null) {
+          canvasContext.strokeStyle = selection[1];
+          canvasContext.strokeRect(bounds.x + selection[0] * bounds.boxWidth, bounds.y - 5, bounds.boxWidth, bounds.boxHeight + 10);
+        }
+      });
+
+    } else {
+      this.raiseError("the canvas element is not present, cannot drawImage().");
+    }
+  }
+
+  /**
+   * Returns the index of the gray box under a canvas position.
+   * @param  {Object} position {x, y} in canvas pixels
+   * @return {Number} index in calibrator.brightnessLevels, or null
+   * @private
+   */
+  brightnessBoxAt(position) {
+    var bounds = this.brightnessBoxesBounds;
+    var index = Math.floor((position.x - bounds.x) / bounds.boxWidth);
+    if ((index >= 0) && (index < this.brightnessLevels.length) && (position.y >= bounds.y) && (position.y <= bounds.y + bounds.boxHeight)) {
+      return (index);
+    } else {
+      return (null);
+    }
+  }
+
+  /**
+   * Selects the darkest box told apart from black, then the lightest box told apart from white. A lightest box not lighter than the darkest one is rejected, and a third click starts over.
+   * @param  {Number} index index in calibrator.brightnessLevels
+   * @return {undefined}
+   * @private
+   */
+  selectBrightnessBox(index) {
+    var selection = this._brightnessSelection;
+    if (selection.black === null) {
+      selection.black = index;
+    } else if (selection.white === null) {
+      /** The lightest box told apart from white must be lighter than the darkest one told apart from black */
+      if (index <= selection.black) {
+        this.find(".calibrator-brightness-inverted").show();
+        return;
+      }
+      selection.white = index;
+    } else {
+      selection.black = index;
+      selection.white = null;
+    }
+
+    this.updateBrightnessInformation();
+    this.drawGrayScale();
+  }
+
+  /**
+   * Shows which box the participant has to select, and enables the confirmation once both are selected.
+   * @return {undefined}
+   * @private
+   */
+  updateBrightnessInformation() {
+    var selection = this._brightnessSelection;
+    this.find(".calibrator-brightness-select-black").toggle(selection.black === null);
+    this.find(".calibrator-brightness-select-white").toggle((selection.black !== null) && (selection.white === null));
+    this.find(".calibrator-brightness-selected").toggle(selection.white !== null);
+    this.find(".calibrator-brightness-inverted").hide();
+    this.find(".calibrator-button[value='" + this.BUTTON_CONFIRM_BRIGHTNESS + "']").prop("disabled", selection.white === null);
+  }
+
+  /* ======== Gamma ======== */
+
+  /**
+   * Starts the match of the next striped pattern, from a random gray level so the previous match does not anchor the response.
+   * @return {undefined}
+   * @private
+   */
+  startGammaMatch() {
+    this._gammaGrayLevel = Math.round(64 + Math.random() * 128);
+    this.find(".calibrator-gamma-range").val(this._gammaGrayLevel);
+    this.find(".calibrator-gamma-progress").html((this._gammaMatches.length + 1) + " / " + this.GAMMA_LUMINANCE_LEVELS.length);
+    this.drawGammaPattern();
+  }
+
+  /**
+   * Records the gray level matched to the current pattern. After the last pattern, fits the display gamma.
+   * @return {Boolean} true when all the patterns are matched
+   * @private
+   */
+  recordGammaMatch() {
+    this._gammaMatches.push({
+      luminance: this.GAMMA_LUMINANCE_LEVELS[this._gammaMatches.length],
+      grayLevel: this._gammaGrayLevel
+    });
+
+    if (this._gammaMatches.length < this.GAMMA_LUMINANCE_LEVELS.length) {
+      this.startGammaMatch();
+      return (false);
+    }
+
+    this._gamma = this.fitGamma(this._gammaMatches);
+    return (true);
+  }
+
+  /**
+   * Fits the display gamma of luminance = (grayLevel / 255) ^ gamma on the matches, by least squares in log-log coordinates.
+   * Matches at 0 or 255 carry no information and are ignored.
+   * @param  {Array} matches list of {luminance, grayLevel}
+   * @return {Number} gamma, or null if no match can be used
+   * @private
+   */
+  fitGamma(matches) {
+    var usableMatches = _.filter(matches, function (match) {
+      return ((match.grayLevel > 0) && (match.grayLevel < 255));
+    });
+
+    if (!usableMatches.length) {
+      console.log("Calibrator.js: the gamma could not be estimated from the matches");
+      return (null);
+    }
+
+    var sumOfProducts = 0;
+    var sumOfSquares = 0;
+    _.each(usableMatches, function (match) {
+      var logGray = Math.log(match.grayLevel / 255);
+      sumOfProducts += Math.log(match.luminance) * logGray;
+      sumOfSquares += logGray * logGray;
+    });
+
+    return (sumOfProducts / sumOfSquares);
+  }
+
+  /**
+   * Draws the striped black and white pattern of the current match, with a solid gray square in its center.
+   * The canvas is drawn at device resolution: stripes scaled by the browser would be blurred into a gray of the wrong luminance.
+   * Its CSS size is snapped to a whole number of device pixels, which is exact only with an integer device pixel ratio.
+   * @return {undefined}
+   * @private
+   */
+  drawGammaPattern() {
+    if ((this.find(".calibrator-canvas").length) && (this.currentStep == this.STEP_GAMMA)) {
+      this.fitCanvasToContainer();
+      var canvas = this.find(".calibrator-canvas")[0];
+      var devicePixelRatio = this.devicePixelRatio;
+      canvas.width = Math.floor(canvas.offsetWidth * devicePixelRatio);
+      canvas.height = Math.floor(canvas.offsetHeight * devicePixelRatio);
+      canvas.style.width = (canvas.width / devicePixelRatio) + "px";
+      canvas.style.height = (canvas.height / devicePixelRatio) + "px";
+      if (devicePixelRatio % 1 !== 0) {
+        console.log("Calibrator.js: the device pixel ratio " + devicePixelRatio + " is fractional (page zoom?), the browser may " +
+          "resample the gamma pattern and bias the matches.");
+      }
+      var canvasContext = canvas.getContext("2d");
+
+      var luminance = this.GAMMA_LUMINANCE_LEVELS[Math.min(this._gammaMatches.length, this.GAMMA_LUMINANCE_LEVELS.length - 1)];
+
+      /** One white row every 2 or 4 device pixel rows, horizontal stripes are less affected by pixel crosstalk than a checkerboard */
+      var period = ((luminance * 2) % 1 === 0) ? 2 : 4;
+      var whiteRows = Math.round(luminance * period);
+
+      /** Rectangles at integer coordinates fill whole device pixels, without antialiasing */
+      canvasContext.fillStyle = "rgb(0, 0, 0)";
+      canvasContext.fillRect(0, 0, canvas.width, canvas.height);
+      canvasContext.fillStyle = "rgb(255, 255, 255)";
+      for (var y = 0; y < canvas.height; y++) {
+        if ((y % period) < whiteRows) {
+          canvasContext.fillRect(0, y, canvas.width, 1);
+        }
+      }
+
+      var squareSize = Math.round(Math.min(canvas.width, canvas.height) / 3);
+      this._gammaSquare = {
+        x: Math.round((canvas.width - squareSize) / 2),
+        y: Math.round((canvas.height - squareSize) / 2),
+        size: squareSize
+      };
+      this.drawGammaSquare();
+    } else {
+      this.raiseError("the canvas element is not present, cannot drawGammaPattern().");
+    }
+  }
+
+  /**
+   * Fills the gray square of the gamma pattern with the current gray level, the stripes drawn by drawGammaPattern() are kept.
+   * @return {undefined}
+   * @private
+   */
+  drawGammaSquare() {
+    if ((!this._gammaSquare) || (!this.find(".calibrator-canvas").length)) {
+      return;
+    }
+
+    var canvasContext = this.find(".calibrator-canvas")[0].getContext("2d");
+    var level = this._gammaGrayLevel;
+    canvasContext.fillStyle = "rgb(" + level + ", " + level + ", " + level + ")";
+    canvasContext.fillRect(this._gammaSquare.x, this._gammaSquare.y, this._gammaSquare.size, this._gammaSquare.size);
+  }
+
+  /**
+   * Returns the gray level to draw to obtain a luminance linear in level, using the measured display gamma
+   * (calibrator.DEFAULT_GAMMA until it is measured).
+   * @param  {Number} level linear luminance between 0 (black) and 255 (white)
+   * @return {Number} gray level between 0 and 255 to use in CSS or canvas colors
+   * @public
+   */
+  linearizeGray(level) {
+    if ((!$.isNumeric(level)) || (level < 0) || (level > 255)) {
+      this.raiseError("linearizeGray() expects a level between 0 and 255, got " + level + ".");
+    }
+
+    return (Math.round(255 * Math.pow(level / 255, 1 / (this.gamma || this.DEFAULT_GAMMA))));
+  }
+
+  /* ======== Refresh Rate ======== */
+
+  /**
+   * Samples requestAnimationFrame timestamps during calibrator.REFRESH_RATE_SAMPLING_DURATION_IN_MS, animating a progress bar
+   * so the browser keeps rendering, then computes the refresh rate.
+   * @return {undefined}
+   * @private
+   */
+  startRefreshRateMeasurement() {
+    this.stopRefreshRateMeasurement();
+    this._frameTimestamps = [];
+    this._refreshRate = null;
+
+    var thisObject = this;
+    var numberOfFrames = 0;
+    var animate = function (timestamp) {
+      numberOfFrames++;
+      if (numberOfFrames > thisObject.REFRESH_RATE_WARMUP_FRAMES) {
+        thisObject._frameTimestamps.push(timestamp);
+      }
+
+      var elapsed = thisObject._frameTimestamps.length ? timestamp - thisObject._frameTimestamps[0] : 0;
+      thisObject.find(".calibrator-refresh-rate-bar").css("width", Math.min(100, 100 * elapsed / thisObject.REFRESH_RATE_SAMPLING_DURATION_IN_MS) + "%");
+
+      if (elapsed >= thisObject.REFRESH_RATE_SAMPLING_DURATION_IN_MS) {
+        thisObject._refreshRateAnimation = null;
+        thisObject._refreshRate = thisObject.computeRefreshRate(thisObject._frameTimestamps);
+        thisObject.updateRefreshRateInformation();
+      } else {
+        thisObject._refreshRateAnimation = window.requestAnimationFrame(animate);
+      }
+    };
+
+    this._refreshRateAnimation = window.requestAnimationFrame(animate);
+    this.updateRefreshRateInformation();
+  }
+
+  /**
+   * Stops the refresh rate measurement if it is running.
+   * @return {undefined}
+   * @private
+   */
+  stopRefreshRateMeasurement() {
+    if (this._refreshRateAnimation !== null) {
+      window.cancelAnimationFrame(this._refreshRateAnimation);
+      this._refreshRateAnimation = null;
+    }
+  }
+
+  /**
+   * Computes the refresh rate from frame timestamps. The frame duration is the median interval, robust to dropped frames,
+   * and each longer interval counts the frames it skipped.
+   * @param  {Array} timestamps requestAnimationFrame timestamps in ms
+   * @return {Object} {refreshRate, frameIntervalMean, frameIntervalSD, droppedFrames}, or null with less than 3 frames
+   * @private
+   */
+  computeRefreshRate(timestamps) {
+    if (timestamps.length < 3) {
+      console.log("Calibrator.js: not enough frames to measure the refresh rate");
+      return (null);
+    }
+
+    var intervals = [];
+    for (var i = 1; i < timestamps.length; i++) {
+      intervals.push(timestamps[i] - timestamps[i - 1]);
+    }
+
+    var sortedIntervals = _.sortBy(intervals, _.identity);
+    var middle = Math.floor(sortedIntervals.length / 2);
+    var medianInterval = (sortedIntervals.length % 2) ? sortedIntervals[middle] : (sortedIntervals[middle - 1] + sortedIntervals[middle]) / 2;
+
+    var meanInterval = _.reduce(intervals, function (sum, interval) {
+      return (sum + interval);
+    }, 0) / intervals.length;
+    var sumOfSquares = _.reduce(intervals, function (sum, interval) {
+      return (sum + Math.pow(interval - meanInterval, 2));
+    }, 0);
+
+    var droppedFrames = _.reduce(intervals, function (sum, interval) {
+      return (sum + Math.max(0, Math.round(interval / medianInterval) - 1));
+    }, 0);
+
+    return ({
+      refreshRate: 1000 / medianInterval,
+      frameIntervalMean: meanInterval,
+      frameIntervalSD: Math.sqrt(sumOfSquares / (intervals.length - 1)),
+      droppedFrames: droppedFrames
+    });
+  }
+
+  /**
+   * Shows the measured refresh rate, and enables the confirmation once the measurement is over.
+   * @return {undefined}
+   * @private
+   */
+  updateRefreshRateInformation() {
+    var measurement = this._refreshRate;
+    this.find(".calibrator-refresh-rate-hz").html(measurement ? measurement.refreshRate.toFixed(this.FLOAT_PRECISION) : "-");
+    this.find(".calibrator-refresh-rate-sd").html(measurement ? measurement.frameIntervalSD.toFixed(this.FLOAT_PRECISION) : "-");
+    this.find(".calibrator-dropped-frames").html(measurement ? measurement.droppedFrames : "-");
+    this.find(".calibrator-button[value='" + this.BUTTON_CONFIRM_REFRESH_RATE + "']").prop("disabled", this._refreshRateAnimation !== null);
+  }
+
+  /* =============== Getters and Setters =============== */
+
+  /* ======== Visual Angle ======== */
+
+  /**
+   * Size in pixels of a stimulus subtending an angle at the calibrated viewing distance, see VisualAngleConverter
+   * @param  {Number}  degrees        visual angle in degrees
+   * @param  {Boolean} inDevicePixels if true, returns device pixels instead of CSS pixels
+   * @return {Number}                 size in pixels
+   * @public
+   */
+  degToPx(degrees, inDevicePixels = false) {
+    return (this.visualAngleConverter.degToPx(degrees, inDevicePixels));
+  }
+
+  /**
+   * Visual angle subtended by a stimulus of a size in pixels at the calibrated viewing distance
+   * @param  {Number}  pixels         size in pixels
+   * @param  {Boolean} inDevicePixels if true, the size is in device pixels instead of CSS pixels
+   * @return {Number}                 visual angle in degrees
+   * @public
+   */
+  pxToDeg(pixels, inDevicePixels = false) {
+    return (this.visualAngleConverter.pxToDeg(pixels, inDevicePixels));
+  }
+
+  /**
+   * Size in pixels of a stimulus subtending an angle in minutes of arc at the calibrated viewing distance
+   * @param  {Number}  arcminutes     visual angle in minutes of arc
+   * @param  {Boolean} inDevicePixels if true, returns device pixels instead of CSS pixels
+   * @return {Number}                 size in pixels
+   * @public
+   */
+  arcminToPx(arcminutes, inDevicePixels = false) {
+    return (this.visualAngleConverter.arcminToPx(arcminutes, inDevicePixels));
+  }
+
+  /**
+   * Converts a length on the screen from cm to pixels
+   * @param  {Number}  cm             length in cm
+   * @param  {Boolean} inDevicePixels if true, returns device pixels instead of CSS pixels
+   * @return {Number}                 length in pixels
+   * @public
+   */
+  cmToPx(cm, inDevicePixels = false) {
+    return (this.visualAngleConverter.cmToPx(cm, inDevicePixels));
+  }
+
+  /**
+   * Converts a length on the screen from pixels to cm
+   * @param  {Number}  pixels         length in pixels
+   * @param  {Boolean} inDevicePixels if true, the length is in device pixels instead of CSS pixels
+   * @return {Number}                 length in cm
+   * @public
+   */
+  pxToCm(pixels, inDevicePixels = false) {
+    return (this.visualAngleConverter.pxToCm(pixels, inDevicePixels));
+  }
+
+  /**
+   * Viewing distance at which a stimulus of a size in pixels subtends an angle
+   * @param  {Number}  degrees        visual angle in degrees
+   * @param  {Number}  pixels         size of the stimulus in pixels
+   * @param  {Boolean} inDevicePixels if true, the size is in device pixels instead of CSS pixels
+   * @return {Number}                 distance from the screen in cm
+   * @public
+   */
+  distanceForDegrees(degrees, pixels, inDevicePixels = false) {
+    return (this.visualAngleConverter.distanceForDegrees(degrees, pixels, inDevicePixels));
+  }
+
+  /**
+   * Local radial pixel density at an eccentricity, see VisualAngleConverter.pixelsPerDegreeAt()
+   * @param  {Number}  eccentricity   angle from the line of sight in degrees
+   * @param  {Boolean} inDevicePixels if true, returns device pixels instead of CSS pixels
+   * @return {Number}                 pixels per degree
+   * @public
+   */
+  pixelsPerDegreeAt(eccentricity, inDevicePixels = false) {
+    return (this.visualAngleConverter.pixelsPerDegreeAt(eccentricity, inDevicePixels));
+  }
+
+  /**
+   * Local radial pixel density at a position given as offsets from the screen center
+   * @param  {Number}  x              horizontal offset in pixels, positive to the right
+   * @param  {Number}  y              vertical offset in pixels, positive downwards
+   * @param  {Boolean} inDevicePixels if true, the offsets and the result are in device pixels instead of CSS pixels
+   * @return {Number}                 pixels per degree
+   * @public
    */
-  show() {
-    $(this.container).fadeIn(200);
+  pixelsPerDegreeAtPosition(x, y, inDevicePixels = false) {
+    return (this.visualAngleConverter.pixelsPerDegreeAtPosition(x, y, inDevicePixels));
   }
 
   /**
-   * Hides the calibrator.
-   * @return {undefined} 
+   * Visual angles of a position given as offsets from the screen center, see VisualAngleConverter.positionToAngle()
+   * @param  {Number}  x              horizontal offset in pixels, positive to the right
+   * @param  {Number}  y              vertical offset in pixels, positive downwards
+   * @param  {Boolean} inDevicePixels if true, the offsets are in device pixels instead of CSS pixels
+   * @return {Object}                 angles in degrees {x, y, eccentricity, polarAngle}
    * @public
    */
-  hide() {
-    $(this.container).fadeOut(200);
+  positionToAngle(x, y, inDevicePixels = false) {
+    return (this.visualAngleConverter.positionToAngle(x, y, inDevicePixels));
   }
 
   /**
-   * Toggle the display of the calibrator.
-   * @return {undefined} 
+   * Offsets from the screen center of a point at an eccentricity, see VisualAngleConverter.angleToPosition()
+   * @param  {Number}  eccentricity   angle from the line of sight in degrees
+   * @param  {Number}  polarAngle     direction in degrees, counterclockwise from the right
+   * @param  {Boolean} inDevicePixels if true, returns device pixels instead of CSS pixels
+   * @return {Object}                 offsets in pixels {x, y}, y positive downwards
    * @public
    */
-  toggle() {
-    $(this.container).toggle(200);
+  angleToPosition(eccentricity, polarAngle, inDevicePixels = false) {
+    return (this.visualAngleConverter.angleToPosition(eccentricity, polarAngle, inDevicePixels));
   }
 
   /**
-   * Toggle display of the information div.
-   * @return {undefined} 
+   * Draws a stimulus at an eccentricity on a canvas, see VisualAngleConverter.drawAtEccentricity()
+   * @param  {CanvasRenderingContext2D} context        canvas context
+   * @param  {Number}                   eccentricity   eccentricity of the stimulus center in degrees
+   * @param  {Number}                   polarAngle     direction in degrees, counterclockwise from the right
+   * @param  {Number}                   sizeInDegrees  visual angle subtended by the stimulus
+   * @param  {function}                 draw           function (context, stimulus) drawing centered on the origin, or null
+   * @param  {Object}                   center         fixation point {x, y} in canvas units, the canvas center if null
+   * @param  {Boolean}                  inDevicePixels if true, the canvas is drawn at device resolution
+   * @return {Object}                   the stimulus drawn {x, y, radialSize, tangentialSize, rotation}
    * @public
    */
-  toggleInfo() {
-    $(".calibrator-info-content").toggle(200);
+  drawAtEccentricity(context, eccentricity, polarAngle, sizeInDegrees, draw = null, center = null, inDevicePixels = false) {
+    return (this.visualAngleConverter.drawAtEccentricity(context, eccentricity, polarAngle, sizeInDegrees, draw, center, inDevicePixels));
   }
 
-  /* ======== View Update Methods ======== */
+  /* ======== CSS Methods ======== */
 
   /**
-   * Updates the view with the appropriate title and content for the current step.
-   * @return {undefined} 
-   * @private
+   * Writes the pixel densities as CSS custom properties on :root (see calibrator.CSS_PROPERTIES), in CSS pixels with the px unit,
+   * and resizes the elements previously sized by calibrator.sizeElementsInDegrees(). Called again when the window is resized or
+   * calibrator.distanceFromScreen changes.
+   * @return {undefined}
+   * @public
    */
-  updateView() {
-    /** keep reference to current object for the callbacks */
-    var thisObject = this;
+  publishCssProperties() {
+    if (!this.diagonalSize) {
+      console.log("Calibrator.js: the screen size is not calibrated, CSS properties are not published.");
+      return;
+    }
 
-    /** Update top guide */
-    this.updateGuide();
+    var rootStyle = document.documentElement.style;
+    rootStyle.setProperty(this.CSS_PROPERTIES.pixelsPerDegree, this.centralPixelsPerDegree + "px");
+    rootStyle.setProperty(this.CSS_PROPERTIES.pixelsPerCm, this.horizontalPixelsPerCm + "px");
+    rootStyle.setProperty(this.CSS_PROPERTIES.pixelsPerInch, (this.horizontalPixelsPerCm * 2.54) + "px");
+    this._cssPropertiesPublished = true;
 
-    /**
-     * Animate title switch 
-     */
-    $(".calibrator-title").animate({
-      opacity: 0
-    }, 300, function () {
-      $(".calibrator-title").html("<h3>" + thisObject.currentTitle + "</h3>");
-      $(".calibrator-title").animate({
-        opacity: 300
-      }, 100);
-    });
+    this.sizeElementsInDegrees(document, "." + this.SIZED_IN_DEGREES_CLASS);
+  }
 
-    /**
-     * Setup animation of content switch 
-     */
-    $(".calibrator-content").animate({
-      opacity: 0
-    }, 300, function () {
+  /**
+   * Removes the CSS custom properties from :root and the sizes set on the elements sized in degrees.
+   * @return {undefined}
+   * @private
+   */
+  unpublishCssProperties() {
+    if (!this._cssPropertiesPublished) {
+      return;
+    }
 
-      /** Load content */
-      $(".calibrator-content").html(thisObject.currentContent);
+    var rootStyle = document.documentElement.style;
+    _.each(this.CSS_PROPERTIES, function (property) {
+      rootStyle.removeProperty(property);
+    });
+    this._cssPropertiesPublished = false;
 
-      /** Perform logic associated with this step */
-      thisObject.setStepLogic();
+    $("." + this.SIZED_IN_DEGREES_CLASS).css({
+      width: "",
+      height: ""
+    }).removeClass(this.SIZED_IN_DEGREES_CLASS);
+  }
 
-      /** Add back button if necessary */
-      if (thisObject.currentStep != thisObject.STEP_SCREENSIZE_ASK_IFKNOWS) {
-        thisObject.addBackButton();
+  /**
+   * Sets the width and height in CSS pixels of the elements with a data-size-deg attribute, e.g. <div data-size-deg="2.5"></div>
+   * is sized to subtend 2.5 degrees at the calibrated viewing distance. Sized elements are resized when the CSS properties are updated.
+   * @param  {Element} root     element or document in which the elements are searched
+   * @param  {string}  selector optional selector restricting the elements
+   * @return {undefined}
+   * @public
+   */
+  sizeElementsInDegrees(root = document, selector = "") {
+    var thisObject = this;
+    $(root).find("[" + this.SIZE_IN_DEGREES_ATTRIBUTE + "]" + selector).each(function (index, element) {
+      var degrees = $(element).attr(thisObject.SIZE_IN_DEGREES_ATTRIBUTE);
+      if ((!$.isNumeric(degrees)) || (degrees < 0) || (degrees >= 180)) {
+        console.log("Calibrator.js: invalid " + thisObject.SIZE_IN_DEGREES_ATTRIBUTE + " value " + degrees + ", the element is not sized.");
+        return;
       }
 
-      /** Show content div */
-      $(".calibrator-content").animate({
-        opacity: 300
-      }, 100, function () {
-
-        /** Reset events after animation is done and DOM is ready */
-        thisObject.resetEvents();
-
-      });
+      var sizeInPx = thisObject.degToPx(parseFloat(degrees));
+      $(element).css({
+        width: sizeInPx + "px",
+        height: sizeInPx + "px"
+      }).addClass(thisObject.SIZED_IN_DEGREES_CLASS);
     });
-
   }
 
+  /* ======== Current Step Content ======== */
+
   /**
-   * Function that update the classes of the top guide to show active step.
-   * @return {undefined} 
+   * Returns the registered step object of the current step
+   * @return {Object} Step definition
    * @private
    */
-  updateGuide() {
-    if ($(".calibrator-guide").length) {
-      _.each($(".calibrator-guide div"), function (element) {
-        $(element).removeClass("calibrator-guide-active");
-      });
-
-      switch (this.currentStep) {
-      case this.STEP_SCREENSIZE_ASK_IFKNOWS:
-      case this.STEP_SCREENSIZE_ENTER_KNOWNSIZE:
-      case this.STEP_SCREENSIZE_CHOOSE_OBJECT:
-      case this.STEP_SCREENSIZE_ENTER_OBJECTSIZE:
-        $("#calibrator-guide-step1").addClass("calibrator-guide-active");
-        break;
-      case this.STEP_BRIGHTNESS:
-        $("#calibrator-guide-step2").addClass("calibrator-guide-active");
-        break;
-      case this.STEP_SUMMARY:
-        $("#calibrator-guide-step3").addClass("calibrator-guide-active");
-        break;
-      }
-    } else {
-      console.log("Calibrator.js: calibrator-guide div not in the dom.");
-    }
+  get currentStepObject() {
+    return (this.getStep(this.currentStep));
   }
 
-  /* ======== Event Handling Methods ======== */
-
   /**
-   * Resets event listeners after DOM change
-   * @return {undefined} 
+   * Returns the currentStep Title, numbered after its guide label
+   * @return {String} Title
    * @private
    */
-  resetEvents() {
+  get currentTitle() {
+    var guideIndex = _.indexOf(this.guideLabels, this.currentStepObject.guide);
+    return ("Step " + (guideIndex + 1) + ": " + this.currentStepObject.title);
+  }
 
-    /** Remove current handlers */
-    $(".calibrator-info-icon").off();
-    $(".calibrator-dismiss-icon").off();
-    $(".calibrator-button").off();
-    $(".calibrator-size-range").off();
+  /**
+   * Returns the compiled currentStep content from the templateManager
+   * @return {String} HTML Content
+   * @private
+   */
+  get currentContent() {
+    var step = this.currentStepObject;
+    var variables = _.isFunction(step.variables) ? step.variables.call(this, this) : {};
+    return (this.templateManager.render(step.template, variables));
+  }
 
-    /**
-     * Hold the reference to the calibrator object for callbacks
-     * @type {Object}
-     */
+  /**
+   * Labels of the top guide, in the order of the registered steps
+   * @return {Array} Guide labels
+   * @private
+   */
+  get guideLabels() {
     var thisObject = this;
-
-    $(".calibrator-info-icon").on("click", function (e) {
-      thisObject.toggleInfo();
-    });
-
-    $(".calibrator-dismiss-icon").on("click", function (e) {
-      thisObject.callbackNow(0);
-      thisObject.hide();
-    });
-
-    $(".calibrator-button").on("click", function (e) {
-      thisObject.buttonClicked(e);
-    });
-
-    $(".calibrator-size-range").on("change", function (e) {
-      thisObject.setRatioFromRange($(e.target));
-      thisObject.drawImage();
-      thisObject.updateSummaryInformation();
-    });
-
+    return (_.uniq(_.map(this.stepOrder, function (name) {
+      return (thisObject.steps[name].guide);
+    })));
   }
 
-  /* ======== Step Management Methods ======== */
-
   /**
-   * Go to the specified step. 
-   * @param  {Number} step step index as defined by calibrate.STEP_XXX
-   * @return {undefined}
+   * HTML of the top guide, one numbered div per guide label
+   * @return {String} HTML Content
    * @private
    */
-  goToStep(step) {
-    this.currentStep = step;
-    this.updateView();
+  get guideHtml() {
+    var width = (100 / this.guideLabels.length) + "%";
+    return (_.map(this.guideLabels, function (label, index) {
+      return ('<div class="calibrator-guide-step" style="width: ' + width + ';">' +
+        'Step ' + (index + 1) + ': ' + _.escape(label) +
+        '</div>');
+    }).join(""));
   }
 
+  /* ======= Size processing ======= */
+
+  /* === Screen size === */
+
   /**
-   * After step content has been drawn, this function performs step specific logic.
+   * Sets physical screen diagonal in inches. Key variable of the object.
+   * @return {undefined} 
    * @private
    */
-  setStepLogic() {
-    switch (this.currentStep) {
-    case this.STEP_SCREENSIZE_ENTER_KNOWNSIZE:
-      /**
-       * If diagonalSize is valid - set the input to its value, else set _diagonalSize to null
-       */
-      if ($.isNumeric(this.diagonalSize)) {
-        $("#calibrator-monitor-size")[0].value = this.diagonalSize.toFixed(this.FLOAT_PRECISION);
+  set diagonalSize(value) {
+    var previousDiagonalSize = this._diagonalSize;
+
+    if (value === null) {
+      this._diagonalSize = null;
+    } else {
+      value = Number(value);
+      if (this.isValidDiagonalSize(value)) {
+        this._diagonalSize = value;
       } else {
-        this.diagonalSize = null;
+        console.log("Calibrator.js: Invalid diagonal size");
       }
-      break;
-    case this.STEP_SCREENSIZE_CHOOSE_OBJECT:
-      // no logic
-      break;
-    case this.STEP_SCREENSIZE_ENTER_OBJECTSIZE:
-      this.setRangeFromRatio();
-      this.setDiagonalSizeFromRatio();
-      this.drawImage();
-      this.updateSummaryInformation();
-      break;
-    case this.STEP_BRIGHTNESS:
-      this.drawGrayScale();
-      console.log(this.pixelsPerDegree);
-      break;
-    case this.STEP_SUMMARY:
-      break;
+    }
 
+    if (this._diagonalSize !== previousDiagonalSize) {
+      this.emit("sizechange", {
+        diagonalSize: this._diagonalSize,
+        previousDiagonalSize: previousDiagonalSize
+      });
     }
   }
 
   /**
-   * Goes to previous step.
-   * @return {undefined}
-   * @private
+   * Sets the distance of the subject from the screen in cm, and updates the published CSS properties.
+   * @param  {Number} value distance in cm
+   * @public
    */
-  goToPreviousStep() {
-    switch (this.currentStep) {
-    case this.STEP_SCREENSIZE_ENTER_KNOWNSIZE:
-      this.goToStep(this.STEP_SCREENSIZE_ASK_IFKNOWS);
-      break;
-    case this.STEP_SCREENSIZE_CHOOSE_OBJECT:
-      this.goToStep(this.STEP_SCREENSIZE_ASK_IFKNOWS);
-      break;
-    case this.STEP_SCREENSIZE_ENTER_OBJECTSIZE:
-      this.goToStep(this.STEP_SCREENSIZE_CHOOSE_OBJECT);
-      break;
-    case this.STEP_BRIGHTNESS:
-      this.goToStep(this.STEP_SCREENSIZE_ASK_IFKNOWS);
-      break;
-    case this.STEP_SUMMARY:
-      this.goToStep(this.STEP_BRIGHTNESS);
-      break;
+  set distanceFromScreen(value) {
+    this._distanceFromScreen = value;
+    if (this._cssPropertiesPublished) {
+      this.publishCssProperties();
+    }
+  }
+
+  /**
+   * Distance of the subject from the screen in cm, default to 50 cm (arm length)
+   * @return {Number} distance in cm
+   * @public
+   */
+  get distanceFromScreen() {
+    return (this._distanceFromScreen);
+  }
 
+  /**
+   * Screen physical diagonal size in inches
+   * @return {Number} Number of inches on the screen's diagonal
+   */
+  get diagonalSize() {
+    if (this._diagonalSize) {
+      return (this._diagonalSize);
+    } else {
+      //console.log("Calibrator.js: diagonalSize is not set.");
+      return (null);
     }
   }
 
   /**
-   * Add a back button to the content div.
-   * @private
+   * Physical diagonal size of the screen in cm. 
+   * @return {Number} Number of cm on the screen's diagonal
    */
-  addBackButton() {
-    /** look for a .calibrator-backdiv placeholder in the document */
-    if ($(".calibrator-backdiv").length) {
-      var backButtonHtml = '<button class="btn calibrator-button calibrator-button-back" value="back">' +
-        'Back' +
-        '</button>';
-      $(".calibrator-backdiv").append(backButtonHtml);
+  get diagonalSizeInCm() {
+    if (this.diagonalSize) {
+      return (this.diagonalSize * 2.54);
     } else {
-      var backButtonHtml = '<div class="col-xs-12 calibrator-spacing">' +
-        '</div>' +
-        '<div class="col-xs-12 ">' +
-        '<button class="btn calibrator-button calibrator-button-back" value="back">' +
-        'Back' +
-        '</button>' +
-        '</div>';
-      $(".calibrator-content").append(backButtonHtml);
+      return (null);
     }
+  }
 
+  /**
+   * Full screen width in CSS pixels. The physical diagonal measured by the participant spans the whole panel,
+   * including the taskbar or dock excluded from the available area.
+   * @return {Number} Screen width in pixels
+   */
+  get screenWidthPx() {
+    return (screen.width);
   }
 
   /**
-   * handles all events related to the calibrator buttons being clicked
-   * @param  {object} event event from the callback
-   * @private
+   * Full screen height in CSS pixels.
+   * @return {Number} Screen height in pixels
    */
-  buttonClicked(event) {
-    var buttonValue = event.target.value;
+  get screenHeightPx() {
+    return (screen.height);
+  }
 
-    switch (buttonValue) {
-    case this.BUTTON_SIZEKNOWN:
-      this.goToStep(this.STEP_SCREENSIZE_ENTER_KNOWNSIZE);
-      break;
-    case this.BUTTON_SIZEUNKNOWN:
-      this.goToStep(this.STEP_SCREENSIZE_CHOOSE_OBJECT);
-      break;
+  /**
+   * Screen width available to windows in CSS pixels, without the operating system taskbar or dock.
+   * @return {Number} Available width in pixels
+   */
+  get availWidthPx() {
+    return (screen.availWidth);
+  }
 
-    case this.BUTTON_CONFIRM_MANUALSIZE:
-      if ($.isNumeric($("#calibrator-monitor-size")[0].value)) {
-        this.diagonalSize = Number($("#calibrator-monitor-size")[0].value);
-        this.goToStep(this.STEP_BRIGHTNESS);
-      } else {
-        console.log("Calibrator.js: monitor size is invalid");
-      }
-      break;
+  /**
+   * Screen height available to windows in CSS pixels, without the operating system taskbar or dock.
+   * @return {Number} Available height in pixels
+   */
+  get availHeightPx() {
+    return (screen.availHeight);
+  }
 
-    case this.BUTTON_CHOOSE_CREDITCARD:
-      this._currentImage = this.IMAGE_KEY_CREDITCARD;
-      this.updateCanvasHeight();
-      this.goToStep(this.STEP_SCREENSIZE_ENTER_OBJECTSIZE);
-      break;
-    case this.BUTTON_CHOOSE_COMPACTDISK:
-      this._currentImage = this.IMAGE_KEY_CD;
-      this.updateCanvasHeight();
-      this.goToStep(this.STEP_SCREENSIZE_ENTER_OBJECTSIZE);
-      break;
-    case this.BUTTON_CONFIRM_OBJECTSIZE:
-      this.goToStep(this.STEP_BRIGHTNESS);
-      break;
-    case this.BUTTON_CONFIRM_BRIGHTNESS:
-      this.goToStep(this.STEP_SUMMARY);
-      break;
-    case this.BUTTON_FINAL_CONFIRM:
-      this.callbackNow(1);
-      this.hide();
-      break;
+  /**
+   * Returns Diagonal of the screen in CSS pixels. Depends on the resolution of the screen. We are always able to compute it.
+   * @return {Number} Number of pixels on the screen diagonal
+   */
+  get diagonalSizeInPx() {
+    return (Math.sqrt(Math.pow(this.screenWidthPx, 2) + Math.pow(this.screenHeightPx, 2)));
+  }
 
-    case this.BUTTON_BACK:
-      this.goToPreviousStep();
-      break;
+  /**
+   * Return the screen CSS pixel per inches
+   * @return {Number} Pixel per inches
+   */
+  get pixelsPerInch() {
+    if (this.diagonalSize) {
+      return (this.diagonalSizeInPx / this.diagonalSize);
+    } else {
+      return (null);
     }
   }
 
-  /* ======== Summarize Informations ======== */
-
   /**
-   * Function that looks for place holders in the current page for summary information and updates it using calibrator.FLOAT_PRECISION.
-   * @return {undefined}
-   * @private
+   * Return the screen CSS pixel per cm
+   * @return {Number} Pixel per cm
    */
-  updateSummaryInformation() {
-    var thisObject = this;
-    if ($(".calibrator-diagonal-size-inches").length) {
-      _.each($(".calibrator-diagonal-size-inches"), function (element) {
-        $(element).html(thisObject.diagonalSize.toFixed(thisObject.FLOAT_PRECISION) + " inches");
-      });
+  get pixelsPerCm() {
+    if (this.diagonalSize) {
+      return (this.pixelsPerInch / 2.54);
+    } else {
+      return (null);
     }
-
   }
 
-  /* ======== Callback Methods ======== */
-
   /**
-   * Function called when calibrator is dismissed. Call the callbackWhenClosed function if it was provided, else just print the result of the calibrator in the console.
-   * @param  {Number} status 0 for an early exit. 1 for a normal exit.
+   * Horizontal CSS pixels per cm. Differs from calibrator.pixelsPerCm, measured along the diagonal, when pixels are not square.
+   * @return {Number} Pixel per cm along the screen width
    */
-  callbackNow(status) {
-    var returnObject = {
-      status: 0,
-      diagonalSize: null,
-      diagonalSizeInPx: this.diagonalSizeInPx,
-      distanceFromScreenInCm: null,
-      pixelsPerInch: null,
-      pixelsPerDegree: null
-
-    };
-
+  get horizontalPixelsPerCm() {
     if (this.diagonalSize) {
-      returnObject.status = status;
-      returnObject.diagonalSize = this.diagonalSize;
-      returnObject.distanceFromScreenInCm = this.distanceFromScreen;
-      returnObject.pixelsPerInch = this.pixelsPerInch;
-      returnObject.pixelsPerDegree = this.pixelsPerDegree;
-
+      return (Math.sqrt(Math.pow(this.screenWidthPx, 2) + Math.pow(this.screenHeightPx / this.pixelAspectRatio, 2)) / this.diagonalSizeInCm);
+    } else {
+      return (null);
     }
+  }
 
-    if (this.callbackWhenClosed) {
-      this.callbackWhenClosed(returnObject);
+  /**
+   * Vertical CSS pixels per cm.
+   * @return {Number} Pixel per cm along the screen height
+   */
+  get verticalPixelsPerCm() {
+    if (this.diagonalSize) {
+      return (this.horizontalPixelsPerCm * this.pixelAspectRatio);
     } else {
-      console.log("Calibrator.js: Has been dismissed");
-      console.log(returnObject);
+      return (null);
     }
+  }
 
+  /**
+   * Ratio of the vertical to the horizontal pixel density, as fitted on the reference object
+   * @return {Number} 1 for square pixels, above 1 when there are more pixels per cm vertically than horizontally
+   */
+  get pixelAspectRatio() {
+    return (this._pixelAspectRatio);
   }
 
-  /* ======== Object Methods ======== */
+  /**
+   * True when the vertical and horizontal pixel densities differ by more than calibrator.options.anisotropyThreshold
+   * @return {Boolean} true for non-square pixels
+   */
+  get hasAnisotropicPixels() {
+    return (Math.abs(this.pixelAspectRatio - 1) > this.options.anisotropyThreshold);
+  }
 
   /**
-   * Update canvas height as a function of the selected image.
-   * @return {undefined}
-   * @private
+   * Returns the CSS pixels per degree as a function of the horizontal pixel density of the screen and subject's distance from the screen
+   * @return {Number} Pixel per degree
    */
-  updateCanvasHeight() {
-    if (this.currentImage) {
-      var imageMaxHeight = this.IMAGES[this.currentImage][1][1] * this.IMAGES[this.currentImage][3];
-      this.canvasHeight = imageMaxHeight + 50;
+  get pixelsPerDegree() {
+    if (this.diagonalSize) {
+      return (this.pixelsPerDegreeAtDistance(this.distanceFromScreen));
+    } else {
+      return (null);
     }
   }
 
   /**
-   * Resizes the canvas to avoid unwanted scaling. Defines the canvas height as this.canvasHeight
-   * @return {undefined}
+   * CSS pixels per degree averaged over the screen width, as calibrator.pixelsPerDegree, at another viewing distance
+   * @param  {Number} distanceInCm viewing distance in cm
+   * @return {Number}              Pixel per degree
    * @private
    */
-  fitCanvasToContainer() {
-    if ($(".calibrator-canvas").length) {
-      var canvas = $(".calibrator-canvas")[0];
-
-      /* Make it visually fill the positioned parent */
-      canvas.style.width = '100%';
-      canvas.style.height = this.canvasHeight + 'px';
+  pixelsPerDegreeAtDistance(distanceInCm) {
+    var visualAngleInRadian = 2 * Math.atan((this.screenWidthPx / this.horizontalPixelsPerCm) / (2 * distanceInCm));
+    var degreePerRadian = (180 / Math.PI);
+    return (this.screenWidthPx / (degreePerRadian * visualAngleInRadian));
+  }
 
-      /* then set the internal size to match */
-      canvas.width = canvas.offsetWidth;
-      canvas.height = canvas.offsetHeight;
+  /**
+   * Width of a CSS pixel in mm
+   * @return {Number} mm per pixel along the screen width
+   */
+  get mmPerPixel() {
+    if (this.diagonalSize) {
+      return (10 / this.horizontalPixelsPerCm);
+    } else {
+      return (null);
     }
   }
 
   /**
-   * Function handling canvas resize and redraw 
+   * Visual angle of a CSS pixel at the center of the screen
+   * @return {Number} minutes of arc per pixel
    */
-  canvasResized() {
-    this.fitCanvasToContainer();
-    switch (this.currentStep) {
-    case this.STEP_SCREENSIZE_ENTER_OBJECTSIZE:
-      this.setDiagonalSizeFromRatio();
-      this.drawImage();
-      break;
-    case this.STEP_BRIGHTNESS:
-      this.drawGrayScale();
-      break;
+  get arcminPerPixel() {
+    if (this.diagonalSize) {
+      return (60 * this.visualAngleConverter.pxToDeg(1));
+    } else {
+      return (null);
     }
   }
 
-  drawImage() {
-    if (($(".calibrator-canvas").length) && (this.currentStep == this.STEP_SCREENSIZE_ENTER_OBJECTSIZE)) {
-      this.fitCanvasToContainer();
-      var canvas = $(".calibrator-canvas")[0];
-      var canvasContext = canvas.getContext("2d");
-      // var centerX = canvas.width / 2;
-      // var centerY = canvas.height / 2;
-
-      /** Clear for redraw */
-      canvasContext.clearRect(0, 0, canvas.width, canvas.height);
-
-      /**  Center the image */
-      var drawAtX = (canvas.width - this.currentImageScaledWidthInPx) / 2;
-      var drawAtY = (canvas.height - this.currentImageScaledHeightInPx) / 2;
-      canvasContext.drawImage(this.cachedImages[this._currentImage],
-        drawAtX, drawAtY, this.currentImageScaledWidthInPx, this.currentImageScaledHeightInPx);
+  /**
+   * Physical width of the screen
+   * @return {Number} width in cm
+   */
+  get screenWidthCm() {
+    if (this.diagonalSize) {
+      return (this.screenWidthPx / this.horizontalPixelsPerCm);
+    } else {
+      return (null);
     }
   }
 
-  setRatioFromRange(element = null) {
-    if (element === null) {
-      element = $(".calibrator-size-range");
+  /**
+   * Physical height of the screen
+   * @return {Number} height in cm
+   */
+  get screenHeightCm() {
+    if (this.diagonalSize) {
+      return (this.screenHeightPx / this.verticalPixelsPerCm);
+    } else {
+      return (null);
     }
+  }
 
-    if ($(element).length) {
-      var range = Number($(element).attr("max")) - Number($(element).attr("min"));
-      var value = Number($(element).val());
-      this.imageRatio = value / range;
+  /**
+   * Physical aspect ratio of the screen, differs from the ratio of the resolutions when pixels are not square
+   * @return {Number} width / height
+   */
+  get aspectRatio() {
+    if (this.diagonalSize) {
+      return (this.screenWidthCm / this.screenHeightCm);
+    } else {
+      return (null);
     }
   }
 
-  setRangeFromRatio(element = null) {
-    if (element === null) {
-      element = $(".calibrator-size-range");
+  /**
+   * Visual angle covered by the full screen width, centered on the line of sight
+   * @return {Number} angle in degrees
+   */
+  get screenWidthDeg() {
+    if (this.diagonalSize) {
+      return (this.visualAngleConverter.cmToDeg(this.screenWidthCm));
+    } else {
+      return (null);
     }
+  }
 
-    if ($(element).length) {
-      var range = Number($(element).attr("max")) - Number($(element).attr("min"));
-      $(element).val((this.imageRatio * range) + Number($(element).attr("min")));
+  /**
+   * Visual angle covered by the full screen height, centered on the line of sight
+   * @return {Number} angle in degrees
+   */
+  get screenHeightDeg() {
+    if (this.diagonalSize) {
+      return (this.visualAngleConverter.cmToDeg(this.screenHeightCm));
+    } else {
+      return (null);
     }
+  }
 
+  /**
+   * Visual angle covered by the browser viewport width, centered on the line of sight
+   * @return {Number} angle in degrees
+   */
+  get viewportWidthDeg() {
+    if (this.diagonalSize) {
+      return (this.visualAngleConverter.cmToDeg(window.innerWidth / this.horizontalPixelsPerCm));
+    } else {
+      return (null);
+    }
   }
 
   /**
-   * Set the diagonal size in inches from the pixel per inches calculate fron the scaled currentImage drawn on the canvas.
-   * @private
+   * Visual angle covered by the browser viewport height, centered on the line of sight
+   * @return {Number} angle in degrees
    */
-  setDiagonalSizeFromRatio() {
-    if (this.currentImage) {
-      this.diagonalSize = this.diagonalSizeInPx / (this.currentImageScaledWidthInPx / this.currentImagePhysicalWidthInInches);
+  get viewportHeightDeg() {
+    if (this.diagonalSize) {
+      return (this.visualAngleConverter.cmToDeg(window.innerHeight / this.verticalPixelsPerCm));
+    } else {
+      return (null);
     }
   }
 
-  /* ======== Brightness ======== */
+  /**
+   * Converter between visual angles and pixels for the current screen size and viewing distance
+   * @return {VisualAngleConverter} converter, raises an error if the screen size is not calibrated yet
+   */
+  get visualAngleConverter() {
+    if (!this.diagonalSize) {
+      this.raiseError("the calibration is incomplete, the screen size is needed to convert visual angles.");
+    }
 
-  drawGrayScale() {
-    if (($(".calibrator-canvas").length) && (this.currentStep == this.STEP_BRIGHTNESS)) {
-      this.fitCanvasToContainer();
-      var canvas = $(".calibrator-canvas")[0];
-      var canvasContext = canvas.getContext("2d");
+    return (new VisualAngleConverter({
+      pixelsPerInch: this.pixelsPerInch,
+      horizontalPixelsPerCm: this.horizontalPixelsPerCm,
+      verticalPixelsPerCm: this.verticalPixelsPerCm,
+      distanceFromScreenInCm: this.distanceFromScreen,
+      devicePixelRatio: this.devicePixelRatio
+    }));
+  }
 
-      /** Clear for redraw */
-      canvasContext.clearRect(0, 0, canvas.width, canvas.height);
+  /**
+   * Returns the CSS pixels per degree at the screen center, where a degree covers the fewest pixels. calibrator.pixelsPerDegree
+   * averages over the screen width and overestimates the size of central stimuli on wide screens.
+   * @return {Number} Pixel per degree
+   */
+  get centralPixelsPerDegree() {
+    if (this.diagonalSize) {
+      return (this.pixelsPerDegreeAt(0));
+    } else {
+      return (null);
+    }
+  }
 
-      // canvasContext.fillStyle = "white";
-      // canvasContext.fillRect(0, 0, canvas.width, canvas.height);
-      // var boxWidth = Math.round(1 * this.pixelsPerCm); //cm
-      // var boxHeight = Math.round(4 * this.pixelsPerCm); //cm
+  /* === Device pixels === */
 
-      var boxWidth = 30;
-      var boxHeight = 150;
-      var centerX = Math.round(canvas.width / 2);
-      var centerY = Math.round(canvas.height / 2);
-      var topX = centerX - (boxWidth * this.BRIGHTNESS_NUMBER_OF_CONTRASTS / 2);
-      var topY = centerY - (boxHeight / 2);
+  /**
+   * Ratio between physical device pixels and CSS pixels. Screen dimensions and canvas sizes are reported in CSS pixels,
+   * the device pixel values below are what a canvas drawn at device resolution uses.
+   * @return {Number} Device pixels per CSS pixel (window.devicePixelRatio), 1 if the browser does not report it
+   */
+  get devicePixelRatio() {
+    return (window.devicePixelRatio || 1);
+  }
 
-      for (var i = 0; i < this.BRIGHTNESS_NUMBER_OF_CONTRASTS; i++) {
-        var luminosity = Math.round(i * (255 / (this.BRIGHTNESS_NUMBER_OF_CONTRASTS - 1)));
+  /**
+   * Diagonal of the screen in physical device pixels.
+   * @return {Number} Number of device pixels on the screen diagonal
+   */
+  get diagonalSizeInDevicePx() {
+    return (this.diagonalSizeInPx * this.devicePixelRatio);
+  }
 
-        canvasContext.fillStyle = "rgb(" + luminosity + "," + luminosity + "," + luminosity + ")";
-        canvasContext.fillRect((topX + i * boxWidth), topY, boxWidth, boxHeight);
-      }
+  /**
+   * Return the screen physical device pixels per inch
+   * @return {Number} Device pixels per inch
+   */
+  get devicePixelsPerInch() {
+    if (this.diagonalSize) {
+      return (this.pixelsPerInch * this.devicePixelRatio);
+    } else {
+      return (null);
+    }
+  }
 
+  /**
+   * Return the screen physical device pixels per cm
+   * @return {Number} Device pixels per cm
+   */
+  get devicePixelsPerCm() {
+    if (this.diagonalSize) {
+      return (this.pixelsPerCm * this.devicePixelRatio);
     } else {
-      throw new Error("Calibrator.js: the canvas element is not present, cannot drawImage().");
+      return (null);
     }
+  }
 
-    // pxpercm = Math.round(window.pxperinch / 2.54);
+  /**
+   * Returns the physical device pixels per degree
+   * @return {Number} Device pixels per degree
+   */
+  get devicePixelsPerDegree() {
+    if (this.diagonalSize) {
+      return (this.pixelsPerDegree * this.devicePixelRatio);
+    } else {
+      return (null);
+    }
+  }
 
-    // //calculate pixels per degree
-    // var angle = Math.atan(screen.height / screen.width);
-    // var diagCM = (getSliderValue() / 10) * 2.54;
-    // var screenWidthCM = diagCM * Math.cos(angle);
+  /**
+   * Returns the physical device pixels per degree at the screen center
+   * @return {Number} Device pixels per degree
+   */
+  get centralDevicePixelsPerDegree() {
+    if (this.diagonalSize) {
+      return (this.centralPixelsPerDegree * this.devicePixelRatio);
+    } else {
+      return (null);
+    }
+  }
 
-    // window.pxperdeg = Math.PI / 180 * screen.width * distance / screenWidthCM;
-    // window.monitorSize = parseFloat($("#screenInput").val());
+  /* === Monitoring === */
 
+  /**
+   * State of the display the calibration depends on.
+   * @return {Object} Device pixel ratio, screen resolution in CSS pixels and orientation
+   */
+  get displaySnapshot() {
+    return ({
+      devicePixelRatio: this.devicePixelRatio,
+      screenWidthPx: this.screenWidthPx,
+      screenHeightPx: this.screenHeightPx,
+      orientation: (screen.orientation && screen.orientation.type) ||
+        ((this.screenWidthPx >= this.screenHeightPx) ? "landscape" : "portrait")
+    });
   }
 
-  /* =============== Getters and Setters =============== */
+  /* === Persistence === */
 
-  /* ======== Current Step Content ======== */
+  /**
+   * Description of the display used to store calibrations: a saved calibration is only offered on an identical set-up.
+   * @return {Object} Screen resolution, device pixel ratio, color depth and user agent
+   */
+  get displayFingerprint() {
+    return ({
+      screenWidthPx: this.screenWidthPx,
+      screenHeightPx: this.screenHeightPx,
+      devicePixelRatio: this.devicePixelRatio,
+      colorDepth: screen.colorDepth,
+      userAgent: navigator.userAgent
+    });
+  }
 
   /**
-   * Returns the currentStep Title from calibrator.STEP_TITLES
-   * @return {String} Title
+   * localStorage key for the current display, a djb2 hash of the fingerprint.
+   * @return {string} Storage key
    * @private
    */
-  get currentTitle() {
-    switch (this.currentStep) {
-    case this.STEP_SCREENSIZE_ASK_IFKNOWS:
-      return (this.STEP_TITLES[0]);
-    case this.STEP_SCREENSIZE_ENTER_KNOWNSIZE:
-      return (this.STEP_TITLES[0]);
-    case this.STEP_SCREENSIZE_CHOOSE_OBJECT:
-      return (this.STEP_TITLES[0]);
-    case this.STEP_SCREENSIZE_ENTER_OBJECTSIZE:
-      return (this.STEP_TITLES[0]);
-    case this.STEP_BRIGHTNESS:
-      return (this.STEP_TITLES[1]);
-    case this.STEP_SUMMARY:
-      return (this.STEP_TITLES[2]);
-
+  get storageKey() {
+    var fingerprint = JSON.stringify(this.displayFingerprint);
+    var hash = 5381;
+    for (var i = 0; i < fingerprint.length; i++) {
+      hash = ((hash << 5) + hash + fingerprint.charCodeAt(i)) | 0;
     }
-
+    return (this.STORAGE_KEY_PREFIX + (hash >>> 0).toString(16));
   }
 
+  /* === Viewing distance === */
+
   /**
-   * Returns the compiled currentStep content from the templateManager
-   * @return {String} HTML Content
+   * Horizontal position of the fixation cross on the canvas, 2 cm from its right edge.
+   * @return {Number} Position in px
    * @private
    */
-  get currentContent() {
-    switch (this.currentStep) {
-    case this.STEP_SCREENSIZE_ASK_IFKNOWS:
-      return (this.templateManager.render("knownsize"));
-    case this.STEP_SCREENSIZE_ENTER_KNOWNSIZE:
-      return (this.templateManager.render("enterknownsize"));
-    case this.STEP_SCREENSIZE_CHOOSE_OBJECT:
-      return (this.templateManager.render("chooseobject"));
-    case this.STEP_SCREENSIZE_ENTER_OBJECTSIZE:
-      return (this.templateManager.render("specifystandardsize"));
-    case this.STEP_BRIGHTNESS:
-      return (this.templateManager.render("setbrightness"));
-    case this.STEP_SUMMARY:
-      return (this.templateManager.render("summary", {
-        diagonalSize: this.diagonalSize.toFixed(this.FLOAT_PRECISION),
-        diagonalSizeInPx: Math.ceil(this.diagonalSizeInPx),
-        pixelsPerDegree: this.pixelsPerDegree.toFixed(this.FLOAT_PRECISION),
-        pixelsPerInch: this.pixelsPerInch.toFixed(this.FLOAT_PRECISION)
-      }));
+  get blindSpotFixationX() {
+    if (this.find(".calibrator-canvas").length) {
+      return (this.find(".calibrator-canvas")[0].width - 2 * this.horizontalPixelsPerCm);
+    } else {
+      return (null);
+    }
+  }
 
+  /**
+   * Distance from the screen estimated from the blind spot trials. The dot disappears when it reaches
+   * calibrator.BLINDSPOT_ANGLE_IN_DEGREES of eccentricity, hence distance = mean dot distance / tan(angle).
+   * @return {Number} Distance in cm, null if no trial was recorded
+   */
+  get blindSpotDistance() {
+    if (this._blindSpotTrials.length) {
+      var meanDistanceInCm = _.reduce(this._blindSpotTrials, function (sum, value) {
+        return (sum + value);
+      }, 0) / this._blindSpotTrials.length;
+      return (meanDistanceInCm / Math.tan(this.BLINDSPOT_ANGLE_IN_DEGREES * Math.PI / 180));
+    } else {
+      return (null);
     }
   }
 
-  /* ======= Size processing ======= */
+  /**
+   * Gray levels of the boxes of the brightness step, from black to white: calibrator.options.numberOfContrasts evenly spaced shades
+   * completed with near-black and near-white shades.
+   * @return {Array} sorted gray levels between 0 and 255
+   */
+  get brightnessLevels() {
+    var levels = [];
+    for (var i = 0; i < this.options.numberOfContrasts; i++) {
+      levels.push(Math.round(i * (255 / (this.options.numberOfContrasts - 1))));
+    }
 
-  /* === Screen size === */
+    _.each(this.BRIGHTNESS_NEAR_BLACK_PERCENTS.concat(this.BRIGHTNESS_NEAR_WHITE_PERCENTS), function (percent) {
+      levels.push(Math.round(percent * 255 / 100));
+    });
+
+    return (_.sortBy(_.uniq(levels), _.identity));
+  }
 
   /**
-   * Sets physical screen diagonal in inches. Key variable of the object.
-   * @return {undefined} 
+   * Position and size of the row of gray boxes, centered on the canvas and narrowed to fit its width
+   * @return {Object} {x, y, boxWidth, boxHeight} in canvas pixels
    * @private
    */
-  set diagonalSize(value) {
-    if (value === null) {
-      this._diagonalSize = null;
-      return;
+  get brightnessBoxesBounds() {
+    var canvas = this.find(".calibrator-canvas")[0];
+    var numberOfBoxes = this.brightnessLevels.length;
+    var boxWidth = Math.min(this.BRIGHTNESS_BOX_SIZE_IN_PX[0], Math.floor((canvas.width - 20) / numberOfBoxes));
+    var boxHeight = this.BRIGHTNESS_BOX_SIZE_IN_PX[1];
+    return ({
+      x: Math.round((canvas.width - boxWidth * numberOfBoxes) / 2),
+      y: Math.round((canvas.height - boxHeight) / 2),
+      boxWidth: boxWidth,
+      boxHeight: boxHeight
+    });
+  }
+
+  /**
+   * Display gamma measured in the gamma step
+   * @return {Number} gamma, or null if it was not measured
+   */
+  get gamma() {
+    return (this._gamma);
+  }
+
+  /**
+   * Inverse gamma lookup table: entry i is the gray level that displays the linear luminance i / 255.
+   * See calibrator.linearizeGray()
+   * @return {Array} 256 gray levels between 0 and 255
+   */
+  get inverseGammaLUT() {
+    var lookUpTable = [];
+    for (var level = 0; level < 256; level++) {
+      lookUpTable.push(this.linearizeGray(level));
     }
+    return (lookUpTable);
+  }
 
-    value = Number(value);
-    if ((value > 0) && (value < 60)) {
-      this._diagonalSize = value;
+  /**
+   * Mean of the diagonal sizes in inches adjusted on the reference object
+   * @return {Number} Mean diagonal size, or null without adjustments
+   */
+  get objectSizeMean() {
+    if (this._objectSizeTrials.length) {
+      return (_.reduce(this._objectSizeTrials, function (sum, trial) {
+        return (sum + trial.diagonalSize);
+      }, 0) / this._objectSizeTrials.length);
     } else {
-      console.log("Calibrator.js: Invalid diagonal size");
+      return (null);
     }
   }
 
   /**
-   * Screen physical diagonal size in inches
-   * @return {Number} Number of inches on the screen's diagonal
+   * Sample standard deviation of the diagonal sizes in inches adjusted on the reference object
+   * @return {Number} Standard deviation, 0 for a single adjustment, or null without adjustments
    */
-  get diagonalSize() {
-    if (this._diagonalSize) {
-      return (this._diagonalSize);
+  get objectSizeSD() {
+    if (this._objectSizeTrials.length > 1) {
+      var mean = this.objectSizeMean;
+      var sumOfSquares = _.reduce(this._objectSizeTrials, function (sum, trial) {
+        return (sum + Math.pow(trial.diagonalSize - mean, 2));
+      }, 0);
+      return (Math.sqrt(sumOfSquares / (this._objectSizeTrials.length - 1)));
+    } else if (this._objectSizeTrials.length) {
+      return (0);
     } else {
-      //console.log("Calibrator.js: diagonalSize is not set.");
       return (null);
     }
   }
 
   /**
-   * Physical diagonal size of the screen in cm. 
-   * @return {Number} Number of cm on the screen's diagonal
+   * Reliability index of the screen size: standard deviation of the adjustments relative to their mean
+   * @return {Number} Relative standard deviation, or null without adjustments
    */
-  get diagonalSizeInCm() {
-    if (this.diagonalSize) {
-      return (this.diagonalSize * 2.54);
+  get objectSizeRelativeSD() {
+    if (this._objectSizeTrials.length) {
+      return (this.objectSizeSD / this.objectSizeMean);
     } else {
       return (null);
     }
   }
 
   /**
-   * Returns Diagonal of the screen in pixels. Depends on the resolution of the screen. We are always able to compute it.
-   * @return {Number} Number of pixels on the screen diagonal
+   * True when the page is displayed in fullscreen
+   * @return {Boolean}
    */
-  get diagonalSizeInPx() {
-    return (Math.sqrt(Math.pow(screen.availWidth, 2) + Math.pow(screen.availHeight, 2)));
+  get isFullscreen() {
+    return (Boolean(document.fullscreenElement || document.webkitFullscreenElement));
   }
 
   /**
-   * Return the screen pixel per inches
-   * @return {Number} Pixel per inches
+   * True when the calibrator is displayed
+   * @return {Boolean}
+   * @private
    */
-  get pixelsPerInch() {
-    if (this.diagonalSize) {
-      return (this.diagonalSizeInPx / this.diagonalSize);
-    } else {
-      return (null);
-    }
+  get isShown() {
+    return (Boolean(this.container) && ($(this.container).css("display") != "none"));
   }
 
+  /* === Image size === */
+
   /**
-   * Return the screen pixel per cm
+   * Density in px per cm at which the current reference object is drawn with the slider at its maximum
    * @return {Number} Pixel per cm
+   * @private
    */
-  get pixelsPerCm() {
-    if (this.diagonalSize) {
-      return (this.pixelsPerInch / 2.54);
-    } else {
-      return (null);
-    }
+  get currentMaxPixelsPerCm() {
+    return (this._maxPixelsPerCm || this.referenceObjects[this.currentImage].maxPixelsPerCm || this.REFERENCE_MAX_PIXELS_PER_CM);
   }
 
   /**
-   * Returns the pixels per degree as a function of pixel density of the screen and subject's distance from the screen
-   * @return {Number} Pixel per degree
+   * True in the steps where the participant adjusts the size of a reference object or of the ruler
+   * @return {Boolean}
+   * @private
    */
-  get pixelsPerDegree() {
-    if (this.diagonalSize) {
-      var visualAngleInRadian = 2 * Math.atan((screen.availWidth / this.pixelsPerCm) / (2 * this.distanceFromScreen));
-      var degreePerRadian = (180 / Math.PI);
-      return (screen.availWidth / (degreePerRadian * visualAngleInRadian));
-    } else {
-      return (null);
-    }
+  get isAdjustingSize() {
+    return ((this.currentStep == this.STEP_SCREENSIZE_ENTER_OBJECTSIZE) || (this.currentStep == this.STEP_SCREENSIZE_RULER));
   }
 
-  /* === Image size === */
+  /**
+   * Position and size of the reference image on the canvas: centered, except the ruler which is stretched from a fixed origin
+   * to be aligned with a physical ruler.
+   * @return {Object} {x, y, width, height} in canvas pixels
+   * @private
+   */
+  get referenceImageBounds() {
+    var canvas = this.find(".calibrator-canvas")[0];
+    var width = this.currentImageScaledWidthInPx;
+    var height = this.currentImageScaledHeightInPx;
+    return ({
+      x: (this.currentStep == this.STEP_SCREENSIZE_RULER) ? this.RULER_MARGIN_IN_PX : (canvas.width - width) / 2,
+      y: (canvas.height - height) / 2,
+      width: width,
+      height: height
+    });
+  }
 
   /**
-   * Sets the image scale ratio 
+   * Centers of the drag handles of the reference image
+   * @return {Object} {width: {x, y}, height: {x, y}}, without height for objects matched along one edge
+   * @private
+   */
+  get handlePositions() {
+    var bounds = this.referenceImageBounds;
+    var positions = {
+      width: {
+        x: bounds.x + bounds.width,
+        y: bounds.y + bounds.height / 2
+      }
+    };
+
+    if (this.referenceObjects[this.currentImage].heightCm) {
+      positions.height = {
+        x: bounds.x + bounds.width / 2,
+        y: bounds.y + bounds.height
+      };
+    }
+
+    return (positions);
+  }
+
+  /**
+   * Sets the image width scale ratio. The height ratio is scaled in proportion, so the shape fitted with the height slider is kept,
+   * and the width is reduced if the height would exceed its maximum.
    * @param  {Number} ratio Real number between 0 and 1
    * @private     
    */
   set imageRatio(ratio) {
     if ((ratio >= 0) && (ratio <= 1)) {
+      var referenceObject = this.referenceObjects[this._currentImage];
+      var heightRatio = ratio;
+      if ((referenceObject) && (referenceObject.heightCm) && (this._imageRatio > 0)) {
+        heightRatio = this._imageHeightRatio * ratio / this._imageRatio;
+        if (heightRatio > 1) {
+          ratio = ratio / heightRatio;
+          heightRatio = 1;
+        }
+      }
       this._imageRatio = ratio;
+      this._imageHeightRatio = heightRatio;
+      this.setDiagonalSizeFromRatio();
+      this.drawImage();
+    }
+  }
+
+  /**
+   * Sets the image height scale ratio alone, to fit the height of the object independently of its width.
+   * @param  {Number} ratio Ratio between 0 and 1
+   * @private
+   */
+  set imageHeightRatio(ratio) {
+    if ((ratio >= 0) && (ratio <= 1)) {
+      this._imageHeightRatio = ratio;
       this.setDiagonalSizeFromRatio();
       this.drawImage();
     }
   }
 
+  /**
+   * Current image height scale ratio
+   * @return {Number} Ratio between 0 and 1, equal to calibrator.imageRatio unless the height was fitted separately
+   */
+  get imageHeightRatio() {
+    return (this._imageHeightRatio);
+  }
+
   /**
    * Current image scale ratio
    * @return {Number} Ratio between 0 and 1 (this ratio will then be multiplied by the maximum scaling factor for each image to produce the observed size)
@@ -985,11 +4892,11 @@ class Calibrator {
 
   /**
    * Set the current selected image to the specified key and redraw.
-   * @param  {string} imageKey image key as stored in calibrator.IMAGES
+   * @param  {string} imageKey reference object key as stored in calibrator.referenceObjects
    * @private
    */
   set currentImage(imageKey) {
-    if (this.IMAGES.indexOf(imageKey) !== -1) {
+    if (_.has(this.referenceObjects, imageKey)) {
       this._currentImage = imageKey;
       this.updateCanvasHeight();
       this.drawImage();
@@ -998,7 +4905,7 @@ class Calibrator {
 
   /**
    * Get the current image key
-   * @return {string} image key as stored in calibrator.IMAGES
+   * @return {string} reference object key as stored in calibrator.referenceObjects
    */
   get currentImage() {
     if (this._currentImage) {
@@ -1017,7 +4924,7 @@ class Calibrator {
    */
   get currentImagePhysicalWidthInCm() {
     if (this.currentImage) {
-      return (this.IMAGES[this.currentImage][2]);
+      return (this.referenceObjects[this.currentImage].widthCm);
     } else {
       return (null);
     }
@@ -1030,38 +4937,44 @@ class Calibrator {
    */
   get currentImagePhysicalWidthInInches() {
     if (this.currentImage) {
-      return (this.IMAGES[this.currentImage][2] / 2.54);
+      return (this.referenceObjects[this.currentImage].widthCm / 2.54);
     } else {
       return (null);
     }
   }
 
   /**
-   * Returns the scaled height depending on the selected scale factor (imageRatio) and maximum scaling of the image.
+   * Returns the scaled height depending on the selected scale factor (imageRatio) and maximum density of the object.
+   * Objects matched along one edge are drawn with a fixed height.
    * @return {Number} Scaled height in pixel
    * @private
    */
   get currentImageScaledHeightInPx() {
     if (this.currentImage) {
+      var referenceObject = this.referenceObjects[this.currentImage];
+      if (!referenceObject.heightCm) {
+        return (this.REFERENCE_BAR_HEIGHT_IN_PX);
+      }
       /**
-       * The scaled pixel size is the base pixel size * maximum scaling factor * ratio as determined by the slider/range position (imageRatio)
+       * The scaled pixel size is the physical size * maximum density * ratio as determined by the slider/range position (imageRatio)
        */
-      return (this.IMAGES[this.currentImage][1][1] * this.IMAGES[this.currentImage][3] * this.imageRatio);
+      return (referenceObject.heightCm * this.currentMaxPixelsPerCm * this.imageHeightRatio);
     } else {
       return (null);
     }
   }
 
   /**
-   * Returns the scaled width depending on the selected scale factor (imageRatio) and maximum scaling of the image.
+   * Returns the scaled width depending on the selected scale factor (imageRatio) and maximum density of the object.
    * @return {Number} Scaled width in pixel
    */
   get currentImageScaledWidthInPx() {
     if (this.currentImage) {
+      var referenceObject = this.referenceObjects[this.currentImage];
       /**
-       * The scaled pixel size is the base pixel size * maximum scaling factor * ratio as determined by the slider/range position (imageRatio)
+       * The scaled pixel size is the physical size * maximum density * ratio as determined by the slider/range position (imageRatio)
        */
-      return (this.IMAGES[this.currentImage][1][0] * this.IMAGES[this.currentImage][3] * this.imageRatio);
+      return (referenceObject.widthCm * this.currentMaxPixelsPerCm * this.imageRatio);
     } else {
       return (null);
     }
@@ -1069,6 +4982,350 @@ class Calibrator {
 
 }
 
+/* =============== VisualAngleConverter Class =============== */
+
+/**
+ * Converts between visual angles, centimeters on the screen and pixels, from a calibration.
+ * The eye is in front of the screen center. Sizes of degToPx() and pxToDeg() are for stimuli centered on the line of sight, and follow
+ * the exact relation size = 2 * distance * tan(angle / 2); the eccentricity methods handle stimuli away from it.
+ */
+class VisualAngleConverter {
+
+  /**
+   * Constructor function for the visual angle converter
+   * @param  {Object} result calibrator output, or any object with the keys pixelsPerInch, distanceFromScreenInCm and devicePixelRatio (default 1).
+   * When pixels are not square, horizontalPixelsPerCm and verticalPixelsPerCm are used instead of pixelsPerInch.
+   * @public
+   */
+  constructor(result = mandatory("result")) {
+    if ((!$.isNumeric(result.pixelsPerInch)) || (result.pixelsPerInch <= 0)) {
+      throw new Error("Calibrator.js: the calibration is incomplete, pixelsPerInch is missing. Was the screen size calibrated ?");
+    }
+    if ((!$.isNumeric(result.distanceFromScreenInCm)) || (result.distanceFromScreenInCm <= 0)) {
+      throw new Error("Calibrator.js: the calibration is incomplete, distanceFromScreenInCm is missing. Was the viewing distance calibrated ?");
+    }
+
+    /**
+     * CSS pixels per cm along the screen width, used for sizes
+     * @type {Number}
+     */
+    this.pixelsPerCm = ($.isNumeric(result.horizontalPixelsPerCm) && (result.horizontalPixelsPerCm > 0)) ?
+      result.horizontalPixelsPerCm : result.pixelsPerInch / 2.54;
+
+    /**
+     * CSS pixels per cm along the screen height, used for vertical positions
+     * @type {Number}
+     */
+    this.verticalPixelsPerCm = ($.isNumeric(result.verticalPixelsPerCm) && (result.verticalPixelsPerCm > 0)) ?
+      result.verticalPixelsPerCm : this.pixelsPerCm;
+
+    /**
+     * Distance of the eyes from the screen in cm
+     * @type {Number}
+     */
+    this.distanceFromScreenInCm = result.distanceFromScreenInCm;
+
+    /**
+     * Device pixels per CSS pixel
+     * @type {Number}
+     */
+    this.devicePixelRatio = $.isNumeric(result.devicePixelRatio) ? result.devicePixelRatio : 1;
+  }
+
+  /**
+   * Size in pixels of a stimulus subtending an angle
+   * @param  {Number}  degrees        visual angle in degrees, between 0 and 180 excluded
+   * @param  {Boolean} inDevicePixels if true, returns device pixels instead of CSS pixels
+   * @return {Number}                 size in pixels
+   * @public
+   */
+  degToPx(degrees, inDevicePixels = false) {
+    this.checkAngle(degrees, "degToPx");
+    return (this.cmToPx(this.degToCm(degrees), inDevicePixels));
+  }
+
+  /**
+   * Visual angle subtended by a stimulus of a size in pixels
+   * @param  {Number}  pixels         size in pixels
+   * @param  {Boolean} inDevicePixels if true, the size is in device pixels instead of CSS pixels
+   * @return {Number}                 visual angle in degrees
+   * @public
+   */
+  pxToDeg(pixels, inDevicePixels = false) {
+    this.checkNumber(pixels, "pxToDeg", "pixels");
+    return (this.cmToDeg(this.pxToCm(pixels, inDevicePixels)));
+  }
+
+  /**
+   * Size in pixels of a stimulus subtending an angle in minutes of arc
+   * @param  {Number}  arcminutes     visual angle in minutes of arc
+   * @param  {Boolean} inDevicePixels if true, returns device pixels instead of CSS pixels
+   * @return {Number}                 size in pixels
+   * @public
+   */
+  arcminToPx(arcminutes, inDevicePixels = false) {
+    this.checkAngle(arcminutes / 60, "arcminToPx");
+    return (this.degToPx(arcminutes / 60, inDevicePixels));
+  }
+
+  /**
+   * Converts a length on the screen from cm to pixels
+   * @param  {Number}  cm             length in cm
+   * @param  {Boolean} inDevicePixels if true, returns device pixels instead of CSS pixels
+   * @return {Number}                 length in pixels
+   * @public
+   */
+  cmToPx(cm, inDevicePixels = false) {
+    this.checkNumber(cm, "cmToPx", "cm");
+    return (cm * this.pixelsPerCm * (inDevicePixels ? this.devicePixelRatio : 1));
+  }
+
+  /**
+   * Converts a length on the screen from pixels to cm
+   * @param  {Number}  pixels         length in pixels
+   * @param  {Boolean} inDevicePixels if true, the length is in device pixels instead of CSS pixels
+   * @return {Number}                 length in cm
+   * @public
+   */
+  pxToCm(pixels, inDevicePixels = false) {
+    this.checkNumber(pixels, "pxToCm", "pixels");
+    return (pixels / (this.pixelsPerCm * (inDevicePixels ? this.devicePixelRatio : 1)));
+  }
+
+  /**
+   * Size on the screen of a stimulus subtending an angle
+   * @param  {Number} degrees visual angle in degrees, between 0 and 180 excluded
+   * @return {Number}         size in cm
+   * @public
+   */
+  degToCm(degrees) {
+    this.checkAngle(degrees, "degToCm");
+    return (2 * this.distanceFromScreenInCm * Math.tan(degrees * Math.PI / 360));
+  }
+
+  /**
+   * Visual angle subtended by a stimulus of a size on the screen
+   * @param  {Number} cm size in cm
+   * @return {Number}    visual angle in degrees
+   * @public
+   */
+  cmToDeg(cm) {
+    this.checkNumber(cm, "cmToDeg", "cm");
+    return (2 * Math.atan(cm / (2 * this.distanceFromScreenInCm)) * 180 / Math.PI);
+  }
+
+  /**
+   * Viewing distance at which a stimulus of a size in pixels subtends an angle
+   * @param  {Number}  degrees        visual angle in degrees, between 0 and 180 excluded
+   * @param  {Number}  pixels         size of the stimulus in pixels
+   * @param  {Boolean} inDevicePixels if true, the size is in device pixels instead of CSS pixels
+   * @return {Number}                 distance from the screen in cm
+   * @public
+   */
+  distanceForDegrees(degrees, pixels, inDevicePixels = false) {
+    this.checkAngle(degrees, "distanceForDegrees");
+    if (degrees === 0) {
+      throw new Error("Calibrator.js: distanceForDegrees() expects an angle above 0 degrees.");
+    }
+    return (this.pxToCm(pixels, inDevicePixels) / (2 * Math.tan(degrees * Math.PI / 360)));
+  }
+
+  /**
+   * Local pixel density along the radial direction at an eccentricity. On a flat screen a degree covers more pixels away from
+   * the line of sight, d / cos²(eccentricity) cm per radian instead of d at the center.
+   * @param  {Number}  eccentricity   angle from the line of sight in degrees, from 0 to 90 excluded
+   * @param  {Boolean} inDevicePixels if true, returns device pixels instead of CSS pixels
+   * @return {Number}                 pixels per degree
+   * @public
+   */
+  pixelsPerDegreeAt(eccentricity, inDevicePixels = false) {
+    this.checkEccentricity(eccentricity, "pixelsPerDegreeAt");
+    var cmPerDegree = this.distanceFromScreenInCm * (Math.PI / 180) / Math.pow(Math.cos(eccentricity * Math.PI / 180), 2);
+    return (this.cmToPx(cmPerDegree, inDevicePixels));
+  }
+
+  /**
+   * Local radial pixel density at a position on the screen
+   * @param  {Number}  x              horizontal offset from the screen center (the line of sight) in pixels, positive to the right
+   * @param  {Number}  y              vertical offset from the screen center in pixels, positive downwards
+   * @param  {Boolean} inDevicePixels if true, the offsets and the result are in device pixels instead of CSS pixels
+   * @return {Number}                 pixels per degree
+   * @public
+   */
+  pixelsPerDegreeAtPosition(x, y, inDevicePixels = false) {
+    return (this.pixelsPerDegreeAt(this.positionToAngle(x, y, inDevicePixels).eccentricity, inDevicePixels));
+  }
+
+  /**
+   * Visual angles of a position on the screen, with the eye in front of the screen center (tangent-plane geometry)
+   * @param  {Number}  x              horizontal offset from the screen center in pixels, positive to the right
+   * @param  {Number}  y              vertical offset from the screen center in pixels, positive downwards
+   * @param  {Boolean} inDevicePixels if true, the offsets are in device pixels instead of CSS pixels
+   * @return {Object}                 angles in degrees {x, y, eccentricity, polarAngle}: x and y are the horizontal and vertical
+   * angles (positive to the right and upwards), polarAngle is counterclockwise from the right
+   * @public
+   */
+  positionToAngle(x, y, inDevicePixels = false) {
+    this.checkFinite(x, "positionToAngle", "x");
+    this.checkFinite(y, "positionToAngle", "y");
+    var xInCm = x / (this.pixelsPerCm * (inDevicePixels ? this.devicePixelRatio : 1));
+    var yInCm = -y / (this.verticalPixelsPerCm * (inDevicePixels ? this.devicePixelRatio : 1));
+    var degreePerRadian = 180 / Math.PI;
+    return ({
+      x: Math.atan(xInCm / this.distanceFromScreenInCm) * degreePerRadian,
+      y: Math.atan(yInCm / this.distanceFromScreenInCm) * degreePerRadian,
+      eccentricity: Math.atan(Math.sqrt(xInCm * xInCm + yInCm * yInCm) / this.distanceFromScreenInCm) * degreePerRadian,
+      polarAngle: Math.atan2(yInCm, xInCm) * degreePerRadian
+    });
+  }
+
+  /**
+   * Position on the screen of a point at an eccentricity, inverse of positionToAngle()
+   * @param  {Number}  eccentricity   angle from the line of sight in degrees, from 0 to 90 excluded
+   * @param  {Number}  polarAngle     direction in degrees, counterclockwise from the right
+   * @param  {Boolean} inDevicePixels if true, returns device pixels instead of CSS pixels
+   * @return {Object}                 offsets from the screen center in pixels {x, y}, y positive downwards
+   * @public
+   */
+  angleToPosition(eccentricity, polarAngle, inDevicePixels = false) {
+    this.checkEccentricity(eccentricity, "angleToPosition");
+    this.checkFinite(polarAngle, "angleToPosition", "polarAngle");
+    var radiusInCm = this.distanceFromScreenInCm * Math.tan(eccentricity * Math.PI / 180);
+    var devicePixelRatio = inDevicePixels ? this.devicePixelRatio : 1;
+    return ({
+      x: radiusInCm * Math.cos(polarAngle * Math.PI / 180) * this.pixelsPerCm * devicePixelRatio,
+      y: -radiusInCm * Math.sin(polarAngle * Math.PI / 180) * this.verticalPixelsPerCm * devicePixelRatio
+    });
+  }
+
+  /**
+   * Position and size on the screen of a stimulus subtending an angle at an eccentricity. The stimulus is stretched along
+   * the radial direction: it spans d * tan(e - s / 2) to d * tan(e + s / 2) from the fixation point, so its center on the screen is
+   * at r = d * (tan(e + s / 2) + tan(e - s / 2)) / 2, further than d * tan(e). Its radial size is d * (tan(e + s / 2) - tan(e - s / 2)),
+   * its tangential size 2 * sqrt(d² + r²) * tan(s / 2).
+   * @param  {Number}  eccentricity   eccentricity of the stimulus center in degrees
+   * @param  {Number}  polarAngle     direction in degrees, counterclockwise from the right
+   * @param  {Number}  sizeInDegrees  visual angle subtended by the stimulus
+   * @param  {Boolean} inDevicePixels if true, returns device pixels instead of CSS pixels
+   * @return {Object}                 {x, y, radialSize, tangentialSize, rotation}: offsets of the stimulus center from the screen center
+   * and sizes in pixels, rotation in radians of the radial direction on the screen (clockwise, as in canvas rotations)
+   * @public
+   */
+  stimulusAtEccentricity(eccentricity, polarAngle, sizeInDegrees, inDevicePixels = false) {
+    this.checkEccentricity(eccentricity, "stimulusAtEccentricity");
+    this.checkFinite(polarAngle, "stimulusAtEccentricity", "polarAngle");
+    this.checkAngle(sizeInDegrees, "stimulusAtEccentricity");
+    var halfSize = sizeInDegrees * Math.PI / 360;
+    var eccentricityInRadian = eccentricity * Math.PI / 180;
+    if (eccentricityInRadian + halfSize >= Math.PI / 2) {
+      throw new Error("Calibrator.js: stimulusAtEccentricity() expects the stimulus to end before 90 degrees of eccentricity.");
+    }
+
+    /** The edges are not symmetric around d * tan(e) on a flat screen, the center is halfway between them */
+    var innerEdgeInCm = this.distanceFromScreenInCm * Math.tan(eccentricityInRadian - halfSize);
+    var outerEdgeInCm = this.distanceFromScreenInCm * Math.tan(eccentricityInRadian + halfSize);
+    var radiusInCm = (outerEdgeInCm + innerEdgeInCm) / 2;
+    var radialSizeInCm = outerEdgeInCm - innerEdgeInCm;
+    var tangentialSizeInCm = 2 * Math.sqrt(Math.pow(this.distanceFromScreenInCm, 2) + Math.pow(radiusInCm, 2)) * Math.tan(halfSize);
+    var devicePixelRatio = inDevicePixels ? this.devicePixelRatio : 1;
+    return ({
+      x: radiusInCm * Math.cos(polarAngle * Math.PI / 180) * this.pixelsPerCm * devicePixelRatio,
+      y: -radiusInCm * Math.sin(polarAngle * Math.PI / 180) * this.verticalPixelsPerCm * devicePixelRatio,
+      radialSize: this.cmToPx(radialSizeInCm, inDevicePixels),
+      tangentialSize: this.cmToPx(tangentialSizeInCm, inDevicePixels),
+      rotation: -polarAngle * Math.PI / 180
+    });
+  }
+
+  /**
+   * Draws a stimulus at an eccentricity on a canvas, with the position and the size of stimulusAtEccentricity(). The canvas
+   * context is translated to the stimulus center, halfway between its edges and not at d * tan(e), and rotated so that x runs along the radial direction before draw is called.
+   * @param  {CanvasRenderingContext2D} context        canvas context
+   * @param  {Number}                   eccentricity   eccentricity of the stimulus center in degrees
+   * @param  {Number}                   polarAngle     direction in degrees, counterclockwise from the right
+   * @param  {Number}                   sizeInDegrees  visual angle subtended by the stimulus
+   * @param  {function}                 draw           function (context, stimulus) drawing centered on the origin, a filled ellipse
+   * of context.fillStyle if null
+   * @param  {Object}                   center         fixation point {x, y} in canvas units, the canvas center if null
+   * @param  {Boolean}                  inDevicePixels if true, the canvas is drawn at device resolution (canvas units are device pixels)
+   * @return {Object}                   the stimulus drawn, see stimulusAtEccentricity()
+   * @public
+   */
+  drawAtEccentricity(context, eccentricity, polarAngle, sizeInDegrees, draw = null, center = null, inDevicePixels = false) {
+    var stimulus = this.stimulusAtEccentricity(eccentricity, polarAngle, sizeInDegrees, inDevicePixels);
+    if (!center) {
+      center = {
+        x: context.canvas.width / 2,
+        y: context.canvas.height / 2
+      };
+    }
+
+    context.save();
+    context.translate(center.x + stimulus.x, center.y + stimulus.y);
+    context.rotate(stimulus.rotation);
+    if (draw) {
+      draw(context, stimulus);
+    } else {
+      context.beginPath();
+      context.ellipse(0, 0, stimulus.radialSize / 2, stimulus.tangentialSize / 2, 0, 0, 2 * Math.PI);
+      context.fill();
+    }
+    context.restore();
+
+    return (stimulus);
+  }
+
+  /**
+   * Throws an error when a value is not a positive number or zero
+   * @param  {*}      value      value to check
+   * @param  {string} methodName name of the calling method, for the error message
+   * @param  {string} valueName  name of the argument, for the error message
+   * @private
+   */
+  checkNumber(value, methodName, valueName) {
+    if ((!$.isNumeric(value)) || (value < 0)) {
+      throw new Error("Calibrator.js: " + methodName + "() expects " + valueName + " to be a positive number, got " + value + ".");
+    }
+  }
+
+  /**
+   * Throws an error when a value is not an angle from 0 to 180 degrees excluded
+   * @param  {*}      degrees    value to check
+   * @param  {string} methodName name of the calling method, for the error message
+   * @private
+   */
+  checkAngle(degrees, methodName) {
+    if ((!$.isNumeric(degrees)) || (degrees < 0) || (degrees >= 180)) {
+      throw new Error("Calibrator.js: " + methodName + "() expects an angle from 0 to 180 degrees excluded, got " + degrees + ".");
+    }
+  }
+
+  /**
+   * Throws an error when a value is not a finite number
+   * @param  {*}      value      value to check
+   * @param  {string} methodName name of the calling method, for the error message
+   * @param  {string} valueName  name of the argument, for the error message
+   * @private
+   */
+  checkFinite(value, methodName, valueName) {
+    if ((!$.isNumeric(value)) || (!isFinite(value))) {
+      throw new Error("Calibrator.js: " + methodName + "() expects " + valueName + " to be a number, got " + value + ".");
+    }
+  }
+
+  /**
+   * Throws an error when a value is not an eccentricity from 0 to 90 degrees excluded
+   * @param  {*}      eccentricity value to check
+   * @param  {string} methodName   name of the calling method, for the error message
+   * @private
+   */
+  checkEccentricity(eccentricity, methodName) {
+    if ((!$.isNumeric(eccentricity)) || (eccentricity < 0) || (eccentricity >= 90)) {
+      throw new Error("Calibrator.js: " + methodName + "() expects an eccentricity from 0 to 90 degrees excluded, got " + eccentricity + ".");
+    }
+  }
+}
+
 /* =============== TemplateManager Class =============== */
 
 /**
@@ -1081,9 +5338,10 @@ class TemplateManager {
    * @param  {object} viewPaths          list of template URLs. Object keys will be used as the template name. 
    * {templateName1: templateUrl1, templateName2: templateUrl2, ...}
    * @param  {function} callbackWhenLoaded Callback function to call when templates are loaded.
+   * @param  {function} callbackWhenFailed Callback function called with the template name and url when a template fails to load.
    * @public
    */
-  constructor(viewPaths = mandatory(), callbackWhenLoaded = null) {
+  constructor(viewPaths = mandatory(), callbackWhenLoaded = null, callbackWhenFailed = null) {
 
     /* Allow double curly bracket syntax in the template html: {{variable}} */
     _.templateSettings.interpolate = /\{\{(.+?)\}\}/g;
@@ -1109,27 +5367,78 @@ class TemplateManager {
       };
     }
 
+    /** setup callback when a template fails to load */
+    if (callbackWhenFailed) {
+      this.callbackWhenFailed = callbackWhenFailed;
+    } else {
+      this.callbackWhenFailed = function (name, url) {
+        console.log("TemplateManager.js: could not load template " + name + " from " + url);
+      };
+    }
+
+    /**
+     * True once every template listed in viewPaths has been loaded and callbackWhenLoaded was called
+     * @type {Boolean}
+     */
+    this.allLoaded = false;
+
+    /**
+     * Template requests in progress, aborted by cancel()
+     * @type {Array}
+     */
+    this.pendingRequests = [];
+
+    /**
+     * True once cancel() was called, callbacks are no longer called
+     * @type {Boolean}
+     */
+    this.cancelled = false;
+
     /* Keeps reference to the current object */
     var thisObject = this;
 
     /* Caches every templates asynchronously */
     _.each(this.viewPaths, function (value, key, list) {
-      $.get(thisObject.viewPaths[key], function (raw) {
+      thisObject.load(key);
+    });
+
+  }
 
-        /** store after loading */
-        thisObject.store(key, raw);
+  /**
+   * Adds a template to the list and loads it. Templates added before all the others are loaded delay callbackWhenLoaded.
+   * @param  {string} name template name
+   * @param  {string} url  template url
+   */
+  add(name, url) {
+    this.viewPaths[name] = url;
+    this.load(name);
+  }
 
-        /** checks if all template are loaded */
-        if (_.every(_.keys(thisObject.viewPaths), function (key) {
-            return (_.has(thisObject.cached, key));
-          })) {
-          /** All templates loaded, call the supplied callback. */
-          thisObject.callbackWhenLoaded();
-        }
+  /**
+   * Loads and caches a template, and calls callbackWhenLoaded once every template is loaded.
+   * @param  {string} name template name
+   */
+  load(name) {
+    var thisObject = this;
+    this.track($.get(this.urlFor(name), function (raw) {
 
-      });
-    });
+      /** store after loading */
+      thisObject.store(name, raw);
+
+      /** checks if all template are loaded */
+      if ((!thisObject.allLoaded) && (_.every(_.keys(thisObject.viewPaths), function (key) {
+          return (_.has(thisObject.cached, key));
+        }))) {
+        /** All templates loaded, call the supplied callback. */
+        thisObject.allLoaded = true;
+        thisObject.callbackWhenLoaded();
+      }
 
+    }).fail(function () {
+      if (!thisObject.cancelled) {
+        thisObject.callbackWhenFailed(name, thisObject.urlFor(name));
+      }
+    }));
   }
 
   /**
@@ -1142,10 +5451,10 @@ class TemplateManager {
     if (this.isCached(name)) {
       return (this.cached[name](variables));
     } else {
-      $.get(this.urlFor(name), function (raw) {
+      this.track($.get(this.urlFor(name), function (raw) {
         thisObject.store(name, raw);
         thisObject.render(name, variables);
-      });
+      }));
     }
   }
 
@@ -1160,10 +5469,10 @@ class TemplateManager {
     if (this.isCached(name)) {
       $(target).append(this.cached[name](variables));
     } else {
-      $.get(this.urlFor(name), function (raw) {
+      this.track($.get(this.urlFor(name), function (raw) {
         thisObject.store(name, raw);
         thisObject.renderInTarget(name, variables, target);
-      });
+      }));
     }
 
   }
@@ -1185,9 +5494,9 @@ class TemplateManager {
    */
   prefetch(name) {
     var thisObject = this;
-    $.get(this.urlFor(name), function (raw) {
+    this.track($.get(this.urlFor(name), function (raw) {
       thisObject.store(name, raw);
-    });
+    }));
   }
 
   /**
@@ -1223,6 +5532,31 @@ class TemplateManager {
     this.cached[name] = _.template(raw);
   }
 
+  /**
+   * Keeps a template request until it completes, so that cancel() can abort it.
+   * @param  {Object} request jqXHR returned by $.get
+   * @return {Object}         the request
+   */
+  track(request) {
+    var thisObject = this;
+    this.pendingRequests.push(request);
+    request.always(function () {
+      thisObject.pendingRequests = _.without(thisObject.pendingRequests, request);
+    });
+    return (request);
+  }
+
+  /**
+   * Aborts the template requests in progress. callbackWhenLoaded and callbackWhenFailed are no longer called.
+   */
+  cancel() {
+    this.cancelled = true;
+    _.each(this.pendingRequests, function (request) {
+      request.abort();
+    });
+    this.pendingRequests = [];
+  }
+
   /**
    * Return the path of the specified template
    * @param  {string} name template name